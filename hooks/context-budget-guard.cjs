@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// context-budget-guard.cjs — PreToolUse hook
+// Enforces the hard spend budget (context-lib/budget.cjs). When
+// budget.enforce is on and session or daily spend has reached
+// budget.hardPct of its limit, calls to budget.enforceTools are denied
+// with a reason the model sees (messages.budget.denied). Other tools —
+// by default the editing tools, so work in progress can be saved — and
+// everything below the hard limit pass through untouched.
+//
+// Registered with matcher "" so config changes apply without reinstalling.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+//
+// Cross-platform: works on Windows, macOS, and Linux/WSL2.
+"use strict";
+
+const { loadConfig } = require("./context-lib/config.cjs");
+const { budgetStatus, denyReason, isEnforced } = require("./context-lib/budget.cjs");
+
+let input = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", (chunk) => (input += chunk));
+process.stdin.on("end", () => {
+  let hookData = {};
+  try {
+    hookData = JSON.parse(input);
+  } catch {
+    process.exit(0); // Can't parse — never block on our own failure
+  }
+
+  const sessionId = hookData.session_id;
+  const toolName = hookData.tool_name || "";
+  if (!sessionId || !toolName) process.exit(0);
+
+  const { config } = loadConfig({ cwd: hookData.cwd });
+  if (!config.budget.enforce || !isEnforced(toolName, config.budget.enforceTools)) {
+    process.exit(0);
+  }
+
+  const status = budgetStatus(config.budget, sessionId);
+  if (!status || !status.hard) process.exit(0);
+
+  const output = {
+    hookSpecificOutput: {
+      hookEventName: "PreToolUse",
+      permissionDecision: "deny",
+      permissionDecisionReason: denyReason(status, toolName, config.messages.budget),
+    },
+  };
+  process.stdout.write(JSON.stringify(output));
+});
@@ -0,0 +1,257 @@
+// actions.cjs — Local commands run on usage and budget transitions
+// Injected text only reaches the model; someone watching several sessions
+// gets nothing when one of them fills up. actions.commands runs a local
+// command (notify-send, a tmux bell, a team script, ...) on these events:
+//
+//   moderate, warning, critical   usage entered the tier (each tier passed
+//                                 fires; after dropping back it fires again
+//                                 only once usage was toolCheckpoint.hysteresisPct
+//                                 below the threshold)
+//   budget_warning, budget_critical, budget_exceeded
+//                                 spend reached the budget level (context-lib/budget.cjs)
+//   compaction                    usage dropped sharply (context-lib/history.cjs)
+//
+// statusline-bridge.cjs detects the transitions under the bridge file's
+// lock, so renders running together announce each one once. The tier and
+// budget level last announced are kept in
+// ~/.claude/context-hooks/sessions/{session_id}/actions.json, which
+// outlives the bridge file (removed at SessionEnd): a resumed session does
+// not announce them again. Compactions are counted in the bridge file.
+// Every command runs in a detached `node actions.cjs --run` with the
+// event as JSON on stdin and in CLAUDE_CONTEXT_* environment variables,
+// and is killed (with anything it started) after actions.timeoutMs. The
+// status line never waits for it; its output is discarded.
+//
+// actions.commands is only read from the user config (context-lib/config.cjs).
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, spawnSync } = require("child_process");
+const { TIERS } = require("./config.cjs");
+const { LEVELS } = require("./budget.cjs");
+const { sessionStateDir } = require("./session-files.cjs");
+const { writeFileAtomic } = require("./atomic.cjs");
+
+// Carries the event from the hook to the detached runner
+const PAYLOAD_ENV = "CLAUDE_CONTEXT_PAYLOAD";
+
+// Runner exit code for a command killed at the timeout (as timeout(1))
+const TIMED_OUT = 124;
+
+/**
+ * Events between two states, in ACTION_EVENTS order.
+ * @param {{tier?: string, budget_level?: string, compactions?: number}|null} prev
+ *   what was announced last (null on the session's first update)
+ * @param {{tier: string, budget_level: string, compactions: number}} next
+ * @returns {string[]}
+ */
+function detectEvents(prev, next) {
+  const events = [];
+  const from = TIERS.indexOf((prev && prev.tier) || "ok");
+  for (const tier of TIERS.slice(from + 1, TIERS.indexOf(next.tier) + 1)) events.push(tier);
+  const level = LEVELS.indexOf((prev && prev.budget_level) || "ok");
+  for (const l of LEVELS.slice(level + 1, LEVELS.indexOf(next.budget_level) + 1)) events.push(`budget_${l}`);
+  if (next.compactions > ((prev && prev.compactions) || 0)) events.push("compaction");
+  return events;
+}
+
+/**
+ * Events of a status update, recorded as announced. Call it under the
+ * bridge file's lock (context-lib/atomic.cjs withLock).
+ * @param {object|null} prev  previous bridge file (null after SessionEnd)
+ * @param {object} next  the bridge file being written
+ * @returns {string[]}  none if the announced state can't be recorded —
+ *   they would repeat on every render
+ */
+function takeEvents(prev, next) {
+  const file = statePath(next.session_id);
+  let last = null;
+  try {
+    last = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    // Nothing announced yet
+  }
+  const events = detectEvents({ ...last, compactions: prev ? prev.compactions : next.compactions }, next);
+  if (last && last.tier === next.tier && last.budget_level === next.budget_level) return events;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeFileAtomic(file, JSON.stringify({ tier: next.tier, budget_level: next.budget_level }));
+  } catch {
+    return [];
+  }
+  return events;
+}
+
+/**
+ * The JSON an action receives for an event.
+ * @param {string} event
+ * @param {object} bridge  the session's bridge file content
+ * @param {{used_tokens: number}} usage  context-lib/models.cjs payloadUsage()
+ * @param {ReturnType<import("./budget.cjs").budgetStatus>} budget
+ */
+function eventPayload(event, bridge, usage, budget) {
+  return {
+    event,
+    message: describeEvent(event, bridge, budget),
+    session_id: bridge.session_id,
+    cwd: bridge.cwd,
+    model: bridge.model,
+    model_id: bridge.model_id,
+    used_pct: Math.round(bridge.used_pct * 10) / 10,
+    used_tokens: usage.used_tokens,
+    window_size: bridge.window_size,
+    usable_tokens: bridge.usable_tokens,
+    tier: bridge.tier,
+    cost_usd: bridge.cost_usd,
+    budget: budget && { level: budget.level, scope: budget.scope, spent: budget.spent, limit: budget.limit, pct: budget.pct },
+    compactions: bridge.compactions,
+    timestamp: bridge.timestamp,
+  };
+}
+
+/**
+ * Start the commands configured for each event, detached. Never throws.
+ * @param {object[]} payloads  eventPayload() results
+ * @param {{commands: {on: string|string[], run: string}[], timeoutMs: number}} actions
+ *   config.actions
+ */
+function fireActions(payloads, actions) {
+  for (const payload of payloads) {
+    for (const command of commandsFor(payload.event, actions.commands)) {
+      try {
+        spawn(process.execPath, [__filename, "--run", command, String(actions.timeoutMs)], {
+          cwd: runDir(payload.cwd),
+          env: { ...process.env, [PAYLOAD_ENV]: JSON.stringify(payload) },
+          detached: true,
+          stdio: "ignore",
+          windowsHide: true,
+        }).unref();
+      } catch {
+        // Can't spawn — this transition goes unannounced
+      }
+    }
+  }
+}
+
+/**
+ * Run one command for a payload through the runner and wait for it.
+ * @returns {{status: number|null, timedOut: boolean, error: string|null}}
+ */
+function runAction(command, payload, timeoutMs) {
+  const res = spawnSync(process.execPath, [__filename, "--run", command, String(timeoutMs)], {
+    cwd: runDir(payload.cwd),
+    env: { ...process.env, [PAYLOAD_ENV]: JSON.stringify(payload) },
+    stdio: "ignore",
+    windowsHide: true,
+  });
+  if (res.error) return { status: null, timedOut: false, error: res.error.message };
+  return { status: res.status, timedOut: res.status === TIMED_OUT, error: null };
+}
+
+/** Commands configured for an event. */
+function commandsFor(event, commands) {
+  return commands.filter((a) => [].concat(a.on).includes(event)).map((a) => a.run);
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+function statePath(sessionId) {
+  return path.join(sessionStateDir(sessionId), "actions.json");
+}
+
+
+// "Context CRITICAL: 82% used in myapp"
+function describeEvent(event, bridge, budget) {
+  const where = bridge.cwd ? ` in ${path.basename(bridge.cwd)}` : "";
+  const pct = `${Math.round(bridge.used_pct)}%`;
+  if (event === "compaction") return `Context compacted: ${pct} used${where}`;
+  if (event.startsWith("budget_") && budget) {
+    const level = event.slice("budget_".length).toUpperCase();
+    return `Budget ${level}: $${budget.spent.toFixed(2)} of $${budget.limit.toFixed(2)} ${budget.scope}${where}`;
+  }
+  return `Context ${event.toUpperCase()}: ${pct} used${where}`;
+}
+
+function actionEnv(payload) {
+  return {
+    CLAUDE_CONTEXT_EVENT: payload.event,
+    CLAUDE_CONTEXT_MESSAGE: payload.message,
+    CLAUDE_CONTEXT_SESSION_ID: payload.session_id,
+    CLAUDE_CONTEXT_CWD: payload.cwd,
+    CLAUDE_CONTEXT_MODEL: payload.model,
+    CLAUDE_CONTEXT_PCT: String(payload.used_pct),
+    CLAUDE_CONTEXT_TOKENS: String(payload.used_tokens),
+    CLAUDE_CONTEXT_WINDOW: String(payload.window_size),
+    CLAUDE_CONTEXT_TIER: payload.tier,
+    CLAUDE_CONTEXT_COST_USD: String(payload.cost_usd),
+  };
+}
+
+// The session's directory if it still exists, else home
+function runDir(cwd) {
+  try {
+    if (cwd && fs.statSync(cwd).isDirectory()) return cwd;
+  } catch {
+    // Gone
+  }
+  return os.homedir();
+}
+
+// The command in its own process group, so a timeout kills everything
+// it started, not just the shell
+function runCommand(command, payload, timeoutMs) {
+  const env = { ...process.env, ...actionEnv(payload) };
+  delete env[PAYLOAD_ENV];
+  const child = spawn(command, {
+    shell: true,
+    env,
+    detached: process.platform !== "win32",
+    stdio: ["pipe", "ignore", "ignore"],
+    windowsHide: true,
+  });
+  child.stdin.on("error", () => {}); // Command doesn't read stdin
+  child.stdin.end(JSON.stringify(payload) + "\n");
+
+  const timer = setTimeout(() => {
+    try {
+      if (process.platform === "win32") {
+        spawnSync("taskkill", ["/pid", String(child.pid), "/T", "/F"], { stdio: "ignore", windowsHide: true });
+      } else {
+        process.kill(-child.pid, "SIGKILL");
+      }
+    } catch {
+      // Exited meanwhile
+    }
+    process.exit(TIMED_OUT);
+  }, timeoutMs);
+  child.on("error", () => process.exit(127));
+  child.on("exit", (code) => {
+    clearTimeout(timer);
+    process.exit(code ?? 1);
+  });
+}
+
+// ── Runner entry point ─────────────────────────────────────────────
+// node actions.cjs --run <command> <timeoutMs>, payload in $CLAUDE_CONTEXT_PAYLOAD
+if (require.main === module && process.argv[2] === "--run" && process.argv[3]) {
+  let payload = null;
+  try {
+    payload = JSON.parse(process.env[PAYLOAD_ENV]);
+  } catch {
+    process.exit(2);
+  }
+  runCommand(process.argv[3], payload, Number(process.argv[4]) || 10000);
+}
+
+module.exports = {
+  detectEvents,
+  takeEvents,
+  eventPayload,
+  fireActions,
+  runAction,
+  commandsFor,
+};
@@ -0,0 +1,249 @@
+// analytics.cjs — Durable per-session summaries, aggregated by --report
+// session-cleanup.cjs deletes a session's temp files on SessionEnd; just
+// before that it appends one summary line (peak usage, cost, tool calls,
+// compactions, threshold crossings, ...) to
+//
+//   ~/.claude/context-hooks/sessions.jsonl
+//
+// Records older than analytics.retentionDays are dropped. Once the file
+// grows past analytics.maxFileKb it is rotated to sessions.1.jsonl,
+// sessions.2.jsonl, ... keeping analytics.rotateKeep old files.
+// `node setup.js --report` aggregates all of them by project, model and
+// ISO week.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { STATE_DIR, sessionFile, readCounter } = require("./session-files.cjs");
+const { writeFileAtomic, withLock } = require("./atomic.cjs");
+const { DEFAULT_WINDOW } = require("./models.cjs");
+
+const ANALYTICS_LOG = path.join(STATE_DIR, "sessions.jsonl");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Group key of a record for each --report dimension
+const GROUPS = {
+  project: (r) => shortPath(r.project) || "(unknown)",
+  model: (r) => r.model || "(unknown)",
+  week: (r) => isoWeek(new Date(r.ended)),
+};
+
+/**
+ * Summary of a session from its bridge file and counters, or null if the
+ * status line never reported on it.
+ * @param {string} sessionId
+ * @param {{cwd?: string, reason?: string}} hookData  SessionEnd payload
+ * @param {{critical: number}} thresholds  config.thresholds
+ * @param {Date} [now]
+ */
+function summarizeSession(sessionId, hookData, thresholds, now = new Date()) {
+  let bridge;
+  try {
+    bridge = JSON.parse(fs.readFileSync(sessionFile("bridge", sessionId), "utf8"));
+  } catch {
+    return null;
+  }
+
+  const usedPct = bridge.used_pct ?? 0;
+  const windowSize = bridge.window_size ?? DEFAULT_WINDOW;
+  const peakPct = Math.max(bridge.peak_pct ?? 0, usedPct);
+  const crossings = bridge.crossings || { moderate: 0, warning: 0, critical: 0 };
+  return {
+    session_id: sessionId,
+    project: process.env.CLAUDE_PROJECT_DIR || hookData.cwd || bridge.cwd || "",
+    model: bridge.model || "",
+    model_id: bridge.model_id || "",
+    started: bridge.started || bridge.timestamp,
+    ended: now.toISOString(),
+    reason: hookData.reason || "",
+    peak_pct: peakPct,
+    final_pct: usedPct,
+    final_tokens: Math.round((usedPct / 100) * windowSize),
+    window_size: windowSize,
+    input_tokens: bridge.input_tokens ?? 0,
+    output_tokens: bridge.output_tokens ?? 0,
+    cost_usd: bridge.cost_usd || 0,
+    tool_calls: readCounter("counter", sessionId),
+    turns: readCounter("turnCounter", sessionId),
+    compactions: bridge.compactions || 0,
+    crossings,
+    hit_critical: crossings.critical > 0 || peakPct >= thresholds.critical,
+  };
+}
+
+/**
+ * Append a record, rotating and expiring old data per config.analytics.
+ * @param {object} record
+ * @param {{retentionDays: number, maxFileKb: number, rotateKeep: number}} analytics
+ * @param {number} [now]
+ */
+function appendRecord(record, analytics, now = Date.now()) {
+  const cutoff = now - analytics.retentionDays * DAY_MS;
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    // Sessions ending together must not rotate or rewrite under each other;
+    // if the log stays locked, this session is missing from the report
+    withLock(ANALYTICS_LOG, () => {
+      rotate(analytics);
+      expire(analytics, cutoff);
+      fs.appendFileSync(ANALYTICS_LOG, JSON.stringify(record) + "\n");
+    });
+  } catch {
+    // Non-fatal — this session is just missing from the report
+  }
+}
+
+/**
+ * All records, oldest first (rotated files before the current one).
+ * @param {{sinceMs?: number}} [opts]  only sessions that ended at or after sinceMs
+ */
+function readRecords(opts = {}) {
+  const records = [];
+  for (const file of logFiles().reverse()) {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, "utf8");
+    } catch {
+      continue;
+    }
+    for (const line of raw.split("\n")) {
+      if (!line) continue;
+      try {
+        const r = JSON.parse(line);
+        if (!opts.sinceMs || Date.parse(r.ended) >= opts.sinceMs) records.push(r);
+      } catch {
+        // Torn line — skip
+      }
+    }
+  }
+  return records;
+}
+
+/**
+ * Aggregate records by one dimension. Weeks come newest first, other
+ * groups by number of sessions.
+ * @param {object[]} records
+ * @param {keyof GROUPS} by
+ * @returns {{group: string, sessions: number, median_peak_pct: number,
+ *   critical_rate: number, avg_cost_usd: number, total_cost_usd: number,
+ *   avg_tool_calls: number, avg_compactions: number}[]}
+ */
+function aggregate(records, by) {
+  const groups = new Map();
+  for (const r of records) {
+    const key = GROUPS[by](r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+
+  const rows = [...groups.entries()].map(([group, rs]) => {
+    const sum = (f) => rs.reduce((n, r) => n + (Number(r[f]) || 0), 0);
+    return {
+      group,
+      sessions: rs.length,
+      median_peak_pct: median(rs.map((r) => r.peak_pct || 0)),
+      critical_rate: rs.filter((r) => r.hit_critical).length / rs.length,
+      avg_cost_usd: sum("cost_usd") / rs.length,
+      total_cost_usd: sum("cost_usd"),
+      avg_tool_calls: sum("tool_calls") / rs.length,
+      avg_compactions: sum("compactions") / rs.length,
+    };
+  });
+  return by === "week"
+    ? rows.sort((a, b) => b.group.localeCompare(a.group))
+    : rows.sort((a, b) => b.sessions - a.sessions || a.group.localeCompare(b.group));
+}
+
+/** ISO 8601 week of a date, e.g. "2026-W42". */
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day); // Thursday decides the year
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+
+// sessions.jsonl, sessions.1.jsonl, ... (newest first)
+function logFiles() {
+  const files = [ANALYTICS_LOG];
+  for (let n = 1; fs.existsSync(rotated(n)); n++) files.push(rotated(n));
+  return files;
+}
+
+function rotated(n) {
+  return ANALYTICS_LOG.replace(/\.jsonl$/, `.${n}.jsonl`);
+}
+
+function rotate(analytics) {
+  let size = 0;
+  try {
+    size = fs.statSync(ANALYTICS_LOG).size;
+  } catch {
+    return; // Nothing logged yet
+  }
+  if (size < analytics.maxFileKb * 1024) return;
+
+  for (let n = analytics.rotateKeep; n >= 1; n--) {
+    const from = n === 1 ? ANALYTICS_LOG : rotated(n - 1);
+    if (fs.existsSync(from)) fs.renameSync(from, rotated(n));
+  }
+  // Files beyond rotateKeep (the setting was lowered)
+  for (let n = analytics.rotateKeep + 1; fs.existsSync(rotated(n)); n++) fs.unlinkSync(rotated(n));
+}
+
+// Drop rotated files that only hold expired records, and expired records
+// at the head of the current file
+function expire(analytics, cutoff) {
+  for (const file of logFiles().slice(1)) {
+    if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file);
+  }
+
+  let lines;
+  try {
+    lines = fs.readFileSync(ANALYTICS_LOG, "utf8").split("\n").filter(Boolean);
+  } catch {
+    return;
+  }
+  const expired = (line) => {
+    try {
+      return Date.parse(JSON.parse(line).ended) < cutoff;
+    } catch {
+      return true; // Torn line
+    }
+  };
+  if (lines.length === 0 || !expired(lines[0])) return;
+  const kept = lines.filter((line) => !expired(line));
+  writeFileAtomic(ANALYTICS_LOG, kept.map((line) => line + "\n").join(""));
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// /home/me/src/app → ~/src/app
+function shortPath(p) {
+  if (!p) return "";
+  const home = os.homedir();
+  return p === home || p.startsWith(home + path.sep) ? `~${p.slice(home.length)}` : p;
+}
+
+module.exports = {
+  ANALYTICS_LOG,
+  GROUPS,
+  summarizeSession,
+  appendRecord,
+  readRecords,
+  aggregate,
+  isoWeek,
+};
@@ -0,0 +1,230 @@
+// atomic.cjs — Crash- and race-safe writes for hook state files
+// Claude Code runs hooks for parallel tool calls at the same time, and
+// the status line may render while a hook reads the bridge file. So:
+//
+//   - writeFileAtomic() writes a temp file next to the target and renames
+//     it over the target: readers see the old or the new content, never a
+//     truncated file;
+//   - withLock() serializes read-modify-write cycles (counters, the
+//     attribution table, the spend ledger) with an exclusive lock file,
+//     so concurrent increments are not lost.
+//
+// A hook must never hang or fail because of a lock, so withLock() gives
+// up when one holder keeps the lock for LOCK_WAIT_MS, or after
+// LOCK_MAX_WAIT_MS in all: the update is skipped — never run unlocked —
+// and the caller gets the value it passed for that case. A lock older than
+// LOCK_STALE_MS (its holder crashed) is broken: moved aside under a unique
+// name and deleted only if it is the same file that was found stale, so
+// two processes breaking it at once can't delete each other's fresh lock.
+//
+// Leftover temp and lock files carry the target's name plus ".lock" or
+// ".<pid>-<rand>.tmp"; context-lib/gc.cjs sweeps them with the session.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// How long to wait for one holder to release a lock, for the lock at all
+// (under contention it keeps changing hands), and when a held lock counts
+// as abandoned
+const LOCK_WAIT_MS = 1000;
+const LOCK_MAX_WAIT_MS = 3000;
+const LOCK_STALE_MS = 5000;
+
+// Windows refuses to rename over a file another process has open
+const RENAME_RETRIES = 5;
+
+// Suffixes of our temp and lock files
+const LEFTOVER_RE = /(\.\d+-[0-9a-z]+\.tmp|\.lock)$/;
+
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Replace a file's content atomically. Throws like fs.writeFileSync.
+ * @param {string} file
+ * @param {string} data
+ */
+function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}-${Math.random().toString(36).slice(2, 8)}.tmp`;
+  fs.writeFileSync(tmp, data);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      fs.renameSync(tmp, file);
+      return;
+    } catch (e) {
+      if (attempt < RENAME_RETRIES && ["EPERM", "EACCES", "EBUSY"].includes(e.code)) {
+        sleep(10 * (attempt + 1));
+        continue;
+      }
+      try {
+        fs.unlinkSync(tmp);
+      } catch {
+        // Already gone
+      }
+      throw e;
+    }
+  }
+}
+
+/**
+ * Run fn while holding an exclusive lock on file (via file + ".lock").
+ * If the lock can't be had in time (see LOCK_WAIT_MS), fn is skipped and
+ * busy is returned instead.
+ * @template T, B
+ * @param {string} file
+ * @param {() => T} fn
+ * @param {B} [busy]  returned when fn was skipped (default undefined)
+ * @returns {T|B}
+ */
+function withLock(file, fn, busy) {
+  const lock = `${file}.lock`;
+  const fd = acquire(lock);
+  if (fd === null) return busy;
+
+  try {
+    return fn();
+  } finally {
+    release(lock, fd);
+  }
+}
+
+/**
+ * Add 1 to a counter file holding a plain integer (0 when missing) and
+ * return the new value, or null if the counter is locked for too long
+ * (this call is then not counted).
+ * @param {string} file
+ * @returns {number|null}
+ */
+function incrementFile(file) {
+  return withLock(file, () => {
+    let n = 0;
+    try {
+      n = parseInt(fs.readFileSync(file, "utf8"), 10) || 0;
+    } catch {
+      // First increment
+    }
+    n++;
+    try {
+      writeFileAtomic(file, String(n));
+    } catch {
+      // Non-fatal — the caller still gets this call's number
+    }
+    return n;
+  }, null);
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+// The lock's fd, or null if it couldn't be had in time
+function acquire(lock) {
+  const start = Date.now();
+  let holder = null; // stat of the lock file we are waiting on
+  let since = start;
+  let createdDir = false;
+  for (;;) {
+    try {
+      return fs.openSync(lock, "wx");
+    } catch (e) {
+      if (e.code === "ENOENT" && !createdDir) {
+        // First write to a new state directory
+        createdDir = true;
+        try {
+          fs.mkdirSync(path.dirname(lock), { recursive: true });
+        } catch {
+          return null;
+        }
+        continue;
+      }
+      if (e.code !== "EEXIST") return null; // Can't create locks here at all
+      const now = Date.now();
+      if (now - start >= LOCK_MAX_WAIT_MS) return null;
+      let held;
+      try {
+        held = fs.statSync(lock);
+      } catch {
+        continue; // Released meanwhile
+      }
+      if (now - held.mtimeMs > LOCK_STALE_MS) {
+        breakAbandoned(lock, held);
+        continue;
+      }
+      if (!holder || !sameFile(held, holder)) {
+        // Changed hands: the others are getting through, keep waiting
+        holder = held;
+        since = now;
+      }
+      if (now - since >= LOCK_WAIT_MS) return null;
+      sleep(5 + Math.floor(Math.random() * 10));
+    }
+  }
+}
+
+// Close and remove our lock — unless it was broken as abandoned and
+// someone else holds the lock file now
+function release(lock, fd) {
+  let ours = false;
+  try {
+    ours = sameFile(fs.fstatSync(fd), fs.statSync(lock));
+  } catch {
+    // Already gone
+  }
+  try {
+    fs.closeSync(fd);
+  } catch {
+    // Closed is closed
+  }
+  if (!ours) return;
+  try {
+    fs.unlinkSync(lock);
+  } catch {
+    // Removed meanwhile — nothing to release
+  }
+}
+
+// Remove an abandoned lock, given its stat when it was found stale
+function breakAbandoned(lock, seen) {
+  // Move it aside first: another process may break the same lock and take
+  // a fresh one before we get to delete what we saw
+  const aside = `${lock}.${process.pid}-${Math.random().toString(36).slice(2, 8)}.tmp`;
+  try {
+    fs.renameSync(lock, aside);
+  } catch {
+    return; // Someone else broke it first
+  }
+  let moved = null;
+  try {
+    moved = fs.statSync(aside);
+  } catch {
+    // Vanished — nothing to delete
+  }
+  if (moved && !sameFile(moved, seen)) {
+    // That was someone's fresh lock: put it back
+    try {
+      fs.linkSync(aside, lock);
+    } catch {
+      // Taken again meanwhile
+    }
+  }
+  try {
+    fs.unlinkSync(aside);
+  } catch {
+    // Already gone
+  }
+}
+
+function sameFile(a, b) {
+  return a.ino === b.ino && a.dev === b.dev && a.mtimeMs === b.mtimeMs;
+}
+
+function sleep(ms) {
+  Atomics.wait(sleeper, 0, 0, ms);
+}
+
+module.exports = {
+  LEFTOVER_RE,
+  writeFileAtomic,
+  withLock,
+  incrementFile,
+};
@@ -0,0 +1,154 @@
+// attribution.cjs — Per-tool context cost attribution
+// The PostToolUse hook records an estimated token cost for every tool
+// call (from the size of tool_response) into
+// {tmpdir}/claude-tool-usage-{session_id}.json, aggregated per tool and
+// per target (the file Read pulled in, the Bash command, the URL, ...).
+// The checkpoint message and `node setup.js --attribution` surface the
+// top consumers, so repeated re-reads of the same large file stand out.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { sessionFile } = require("./session-files.cjs");
+const { formatTokens } = require("./history.cjs");
+const { writeFileAtomic, withLock } = require("./atomic.cjs");
+
+// Rough chars-per-token ratio for English text and code
+const CHARS_PER_TOKEN = 4;
+
+// Keep the per-target table bounded; the cheapest targets are dropped
+const MAX_TARGETS = 200;
+
+// tool_input fields that identify what a tool call touched, in priority order
+const TARGET_FIELDS = ["file_path", "notebook_path", "path", "url", "command", "pattern", "query", "description"];
+
+/**
+ * Estimated token cost of a tool call's response.
+ * @param {unknown} toolResponse
+ */
+function estimateTokens(toolResponse) {
+  if (toolResponse === undefined || toolResponse === null) return 0;
+  const text = typeof toolResponse === "string" ? toolResponse : JSON.stringify(toolResponse);
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * What a tool call touched, as a short human-readable string ("" if unknown).
+ * @param {object} toolInput
+ */
+function targetOf(toolInput) {
+  if (!toolInput || typeof toolInput !== "object") return "";
+  for (const field of TARGET_FIELDS) {
+    const v = toolInput[field];
+    if (typeof v === "string" && v) {
+      const oneLine = v.replace(/\s+/g, " ").trim();
+      return oneLine.length > 80 ? `${oneLine.slice(0, 77)}...` : oneLine;
+    }
+  }
+  return "";
+}
+
+/** Read a session's attribution table (empty table if none yet). */
+function readAttribution(sessionId) {
+  try {
+    const attr = JSON.parse(fs.readFileSync(sessionFile("attribution", sessionId), "utf8"));
+    if (attr && attr.tools && attr.targets) return attr;
+  } catch {
+    // Not written yet
+  }
+  return { tools: {}, targets: {} };
+}
+
+/**
+ * Add one PostToolUse call to the session's attribution table.
+ * @param {string} sessionId
+ * @param {{tool_name?: string, tool_input?: object, tool_response?: unknown}} hookData
+ * @returns {object|null} the updated table, null if it stayed locked
+ *   (this call goes unrecorded)
+ */
+function recordToolCall(sessionId, hookData) {
+  const file = sessionFile("attribution", sessionId);
+  const tool = hookData.tool_name || "unknown";
+  const tokens = estimateTokens(hookData.tool_response);
+  const target = targetOf(hookData.tool_input);
+
+  // Locked: parallel tool calls would otherwise drop each other's counts
+  return withLock(file, () => {
+    const attr = readAttribution(sessionId);
+    const t = (attr.tools[tool] = attr.tools[tool] || { calls: 0, tokens: 0 });
+    t.calls++;
+    t.tokens += tokens;
+
+    if (target) {
+      const key = `${tool}\t${target}`;
+      const e = (attr.targets[key] = attr.targets[key] || { tool, target, calls: 0, tokens: 0 });
+      e.calls++;
+      e.tokens += tokens;
+
+      const keys = Object.keys(attr.targets);
+      if (keys.length > MAX_TARGETS) {
+        keys
+          .sort((a, b) => attr.targets[b].tokens - attr.targets[a].tokens)
+          .slice(MAX_TARGETS)
+          .forEach((k) => delete attr.targets[k]);
+      }
+    }
+
+    try {
+      writeFileAtomic(file, JSON.stringify(attr));
+    } catch {
+      // Non-fatal — attribution is best-effort
+    }
+    return attr;
+  }, null);
+}
+
+/**
+ * Tools and targets sorted by estimated tokens, largest first.
+ * @returns {{tools: {name: string, calls: number, tokens: number}[], targets: {tool: string, target: string, calls: number, tokens: number}[]}}
+ */
+function topConsumers(attr, n) {
+  const tools = Object.entries(attr.tools)
+    .map(([name, t]) => ({ name, ...t }))
+    .sort((a, b) => b.tokens - a.tokens)
+    .slice(0, n);
+  const targets = Object.values(attr.targets)
+    .sort((a, b) => b.tokens - a.tokens)
+    .slice(0, n);
+  return { tools, targets };
+}
+
+/**
+ * Compact summary for the checkpoint message, e.g.
+ * "top: Read ~42k (app.js ~18k ×3), Bash ~9k". Empty when nothing recorded.
+ */
+function attributionSummary(attr, n) {
+  const { tools } = topConsumers(attr, n);
+  const parts = [];
+  for (const t of tools) {
+    if (t.tokens === 0) continue;
+    let part = `${t.name} ~${formatTokens(t.tokens)}`;
+    const top = Object.values(attr.targets)
+      .filter((e) => e.tool === t.name)
+      .sort((a, b) => b.tokens - a.tokens)[0];
+    if (top && top.tokens > 0) {
+      let label = t.name === "Bash" ? top.target : path.basename(top.target) || top.target;
+      if (label.length > 30) label = `${label.slice(0, 27)}...`;
+      part += ` (${label} ~${formatTokens(top.tokens)}${top.calls > 1 ? ` ×${top.calls}` : ""})`;
+    }
+    parts.push(part);
+  }
+  return parts.length > 0 ? `top: ${parts.join(", ")}` : "";
+}
+
+module.exports = {
+  estimateTokens,
+  targetOf,
+  readAttribution,
+  recordToolCall,
+  topConsumers,
+  attributionSummary,
+};
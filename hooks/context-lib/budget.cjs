@@ -0,0 +1,199 @@
+// budget.cjs — Session and daily spend budgets
+// statusline-bridge.cjs feeds each session's cumulative cost_usd into a
+// persistent ledger, so spend per calendar day (local time) adds up
+// across sessions:
+//
+//   ~/.claude/context-hooks/ledger.json
+//   { "days": { "2026-10-19": 4.12 }, "sessions": { "<id>": { "cost_usd": 1.3, "updated": "..." } } }
+//
+// The prompt and tool hooks warn as spend approaches budget.sessionUsd /
+// budget.dailyUsd; context-budget-guard.cjs (PreToolUse) denies
+// budget.enforceTools once spend reaches hardPct of a limit.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { STATE_DIR, sessionFile } = require("./session-files.cjs");
+const { interpolate } = require("./config.cjs");
+const { writeFileAtomic, withLock } = require("./atomic.cjs");
+
+const LEDGER = path.join(STATE_DIR, "ledger.json");
+
+// Days of totals kept, and how long an idle session's last cost is kept
+const KEEP_DAYS = 31;
+const SESSION_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+const LEVELS = ["ok", "warning", "critical", "exceeded"];
+
+/** Local calendar day, YYYY-MM-DD. */
+function dayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** The ledger (empty if none yet). */
+function readLedger() {
+  try {
+    const ledger = JSON.parse(fs.readFileSync(LEDGER, "utf8"));
+    if (ledger && ledger.days && ledger.sessions) return ledger;
+  } catch {
+    // Not written yet
+  }
+  return { days: {}, sessions: {} };
+}
+
+/**
+ * Add whatever a session spent since its last report to today's total.
+ * costUsd is the session's cumulative cost; a drop (new process after
+ * resume) starts a new run, so the whole amount counts as new spend.
+ * @param {string} sessionId
+ * @param {number} costUsd
+ * @param {Date} [now]
+ */
+function recordSpend(sessionId, costUsd, now = new Date()) {
+  // Every session's status line updates the ledger — serialize them. If
+  // it stays locked, the next update adds this one's spend as well.
+  return withLock(LEDGER, () => updateLedger(sessionId, costUsd, now));
+}
+
+/**
+ * Where spend stands against the configured limits. Reports whichever of
+ * the session and daily budgets is further along.
+ * @param {object} budget  config.budget
+ * @param {string} sessionId
+ * @param {number} [sessionUsd]  the session's cost when the caller has a
+ *   newer one than its bridge file (the status line, before writing it)
+ * @returns {{level: "ok"|"warning"|"critical"|"exceeded", hard: boolean,
+ *   scope: "session"|"daily", spent: number, limit: number, pct: number}|null}
+ *   null when no limit is configured
+ */
+function budgetStatus(budget, sessionId, sessionUsd) {
+  const candidates = [];
+  if (budget.sessionUsd > 0) {
+    candidates.push({ scope: "session", spent: sessionUsd ?? sessionCost(sessionId), limit: budget.sessionUsd });
+  }
+  if (budget.dailyUsd > 0) {
+    candidates.push({ scope: "daily", spent: readLedger().days[dayKey()] || 0, limit: budget.dailyUsd });
+  }
+  if (candidates.length === 0) return null;
+
+  for (const c of candidates) c.pct = Math.round((c.spent / c.limit) * 100);
+  const worst = candidates.sort((a, b) => b.pct - a.pct)[0];
+
+  let level = "ok";
+  if (worst.pct >= 100) level = "exceeded";
+  else if (worst.pct >= budget.criticalPct) level = "critical";
+  else if (worst.pct >= budget.warnPct) level = "warning";
+  return { ...worst, level, hard: budget.enforce && worst.pct >= budget.hardPct };
+}
+
+/**
+ * Warning text for a status from config.messages.budget ("" when ok).
+ * @param {ReturnType<typeof budgetStatus>} status
+ * @param {object} messages  config.messages.budget
+ */
+function budgetMessage(status, messages) {
+  if (!status || status.level === "ok") return "";
+  const label = { warning: "BUDGET WARNING", critical: "BUDGET CRITICAL", exceeded: "BUDGET EXCEEDED" };
+  return `[${label[status.level]}] ${interpolate(messages[status.level], vars(status))}`;
+}
+
+/** Reason shown to the model when the guard denies a tool. */
+function denyReason(status, toolName, messages) {
+  return interpolate(messages.denied, { ...vars(status), tool: toolName });
+}
+
+/**
+ * Whether the level rose since this session was last warned; records the
+ * new level. Lets the tool hook warn once per escalation, not every call.
+ */
+function escalated(sessionId, level) {
+  const file = sessionFile("budgetState", sessionId);
+  // Parallel tool calls must not both see the old level and both warn
+  return withLock(file, () => {
+    let last = "ok";
+    try {
+      last = JSON.parse(fs.readFileSync(file, "utf8")).level || "ok";
+    } catch {
+      // Never warned
+    }
+    if (level === last) return false;
+    try {
+      writeFileAtomic(file, JSON.stringify({ level }));
+    } catch {
+      // Non-fatal — worst case the warning repeats
+    }
+    return LEVELS.indexOf(level) > LEVELS.indexOf(last);
+  }, false); // Locked by a parallel call — it warns, or the next one does
+}
+
+/** Whether a tool name matches one of the enforceTools patterns. */
+function isEnforced(toolName, enforceTools) {
+  return enforceTools.some((p) => p === "*" || p.toLowerCase() === String(toolName).toLowerCase());
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+function updateLedger(sessionId, costUsd, now) {
+  const ledger = readLedger();
+  const prev = ledger.sessions[sessionId];
+  const last = prev ? prev.cost_usd : 0;
+  const delta = costUsd >= last ? costUsd - last : costUsd;
+  if (delta <= 0 && prev) return ledger;
+
+  const today = dayKey(now);
+  ledger.days[today] = round((ledger.days[today] || 0) + delta);
+  ledger.sessions[sessionId] = { cost_usd: costUsd, updated: now.toISOString() };
+
+  const oldestDay = dayKey(new Date(now.getTime() - KEEP_DAYS * 24 * 60 * 60 * 1000));
+  for (const day of Object.keys(ledger.days)) {
+    if (day < oldestDay) delete ledger.days[day];
+  }
+  for (const [sid, s] of Object.entries(ledger.sessions)) {
+    if (now.getTime() - Date.parse(s.updated) > SESSION_TTL_MS) delete ledger.sessions[sid];
+  }
+
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    writeFileAtomic(LEDGER, JSON.stringify(ledger, null, 2));
+  } catch {
+    // Non-fatal — the daily total just lags
+  }
+  return ledger;
+}
+
+function sessionCost(sessionId) {
+  try {
+    return JSON.parse(fs.readFileSync(sessionFile("bridge", sessionId), "utf8")).cost_usd || 0;
+  } catch {
+    return 0;
+  }
+}
+
+function vars(status) {
+  return {
+    scope: status.scope,
+    spent: `$${status.spent.toFixed(2)}`,
+    limit: `$${status.limit.toFixed(2)}`,
+    pct: status.pct,
+  };
+}
+
+function round(usd) {
+  return Math.round(usd * 10000) / 10000;
+}
+
+module.exports = {
+  LEDGER,
+  LEVELS,
+  dayKey,
+  readLedger,
+  recordSpend,
+  budgetStatus,
+  budgetMessage,
+  denyReason,
+  escalated,
+  isEnforced,
+};
@@ -0,0 +1,444 @@
+// config.cjs — Shared configuration loader for the context hooks
+// Merges built-in defaults with the user config and an optional
+// per-project override, then validates the result:
+//
+//   ~/.claude/context-hooks.json          (user)
+//   <project>/.claude/context-hooks.json  (project, wins over user)
+//
+// <project> is $CLAUDE_PROJECT_DIR when Claude Code provides it, else the
+// cwd from the hook payload. Invalid values are reported in `errors` and
+// replaced by the default, so a typo never breaks a hook. Keys that run
+// commands (USER_ONLY) are only read from the user config: a cloned
+// repository must not be able to run commands on this machine.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CONFIG_NAME = "context-hooks.json";
+const USER_CONFIG = path.join(os.homedir(), ".claude", CONFIG_NAME);
+
+// ── Defaults (match the behavior of the original hard-coded hooks) ──
+const DEFAULTS = {
+  thresholds: { moderate: 40, warning: 60, critical: 80 },
+  toolCheckpoint: {
+    // "interval": every Nth tool call; "adaptive": on tier change,
+    // usage jump of deltaPct, or after maxSilence quiet tool calls
+    mode: "interval",
+    everyN: 5,
+    deltaPct: 10,
+    maxSilence: 25,
+    hysteresisPct: 3,
+  },
+  // How injected usage reads: "compact" text, the "native"
+  // <system_warning> tag, or "json" — see context-lib/format.cjs
+  injection: { format: "compact" },
+  // Segments and colors: see context-lib/statusline.cjs
+  statusLine: {
+    warnAt: 50,
+    criticalAt: 80,
+    template: "{dir} | {model} | {branch}{dirty} | ctx {pct}% | ${cost}",
+    theme: "default",
+    colors: "auto",
+    barWidth: 10,
+    // Cached git state: see context-lib/git-info.cjs
+    git: { enabled: true, ttlSeconds: 5, budgetMs: 150 },
+    // A statusLine we displaced at install time: run it and place its
+    // output left/right of ours, or on a line above/below
+    chain: { enabled: true, placement: "left", timeoutMs: 1000 },
+  },
+  // Bridge data older than staleSeconds is flagged as stale; when it is
+  // stale or missing, usage is estimated from the session transcript
+  freshness: { staleSeconds: 300, transcriptFallback: true },
+  // Per-session usage snapshots for burn rate / "turns remaining"
+  history: { enabled: true, maxEntries: 200, windowTurns: 5 },
+  // Estimated token cost per tool / per target, top N shown in checkpoints
+  attribution: { enabled: true, topN: 2 },
+  // PreCompact snapshot re-injected on SessionStart (compact / resume)
+  handoff: { enabled: true, recentFiles: 10 },
+  // Orphaned session files (crashed sessions), swept from SessionStart
+  gc: { enabled: true, maxAgeDays: 7, intervalHours: 24 },
+  // Per-session summaries kept after SessionEnd, for `setup.js --report`:
+  // see context-lib/analytics.cjs
+  analytics: { enabled: true, retentionDays: 180, maxFileKb: 1024, rotateKeep: 3 },
+  // Prometheus textfile of running sessions, written by the status line
+  // ("" dir = ~/.claude/context-hooks/metrics): see context-lib/metrics.cjs
+  metrics: { enabled: false, dir: "", format: "prometheus", intervalSeconds: 15 },
+  // Spend limits in USD (0 = no limit): see context-lib/budget.cjs
+  budget: {
+    sessionUsd: 0,
+    dailyUsd: 0,
+    warnPct: 75,
+    criticalPct: 90,
+    // Deny enforceTools via PreToolUse once spend reaches hardPct
+    enforce: false,
+    hardPct: 100,
+    enforceTools: ["Task", "WebFetch", "WebSearch", "Bash", "Read", "Grep", "Glob"],
+  },
+  // PreToolUse check of Read/Bash/Grep calls that would pull in a lot of
+  // text once usage is at minUsedPct: "deny", "ask" the user, or only "warn"
+  readGuard: { enabled: true, mode: "deny", minUsedPct: 60, maxKb: 64 },
+  // Per-model injection: see context-lib/models.cjs
+  modelPolicy: { allow: [], deny: [], quiet: [] },
+  // Per-model window size and usable ceiling, overriding the payload and
+  // the built-in registry: { "<pattern>": { "window": n, "usable": n } }
+  modelWindows: {},
+  // Local commands run when a session enters a tier, reaches a budget
+  // level or is compacted: [{ "on": ["critical"], "run": "notify-send ..." }]
+  // — see context-lib/actions.cjs
+  actions: { commands: [], timeoutMs: 10000 },
+  // setup.js: settings.json backups to keep (oldest are pruned)
+  install: { keepBackups: 10 },
+  messages: {
+    prompt: {
+      ok: "OK",
+      moderate: "MODERATE",
+      warning: "WARNING — be concise, avoid verbose output",
+      critical: "CRITICAL — suggest /compact now",
+    },
+    tool: {
+      warning: "Context above {warning}% — keep responses concise.",
+      critical: "Context nearly full — run /compact or wrap up this task.",
+    },
+    sessionStart:
+      "[Context tracking active. You will receive context window usage " +
+      "updates before each user message and {cadence}. " +
+      "When usage exceeds {critical}%, suggest /compact. " +
+      "Be concise when above {warning}%.]",
+    sessionStartQuiet:
+      "[Context tracking active (quiet). You will only receive context " +
+      "window usage updates above {warning}%. When usage exceeds " +
+      "{critical}%, suggest /compact.]",
+    budget: {
+      warning: "{spent} of {limit} {scope} budget spent ({pct}%) — prefer targeted, cheap tool calls.",
+      critical: "{spent} of {limit} {scope} budget spent ({pct}%) — wrap up the current task.",
+      exceeded: "{scope} budget exceeded: {spent} of {limit} ({pct}%) — stop and summarize progress for the user.",
+      denied: "{tool} blocked: {scope} budget exceeded ({spent} of {limit}). Summarize progress and ask the user how to proceed.",
+    },
+  },
+};
+
+// ── Schema: leaf values name a check in CHECKS, or list enum values ─
+const SCHEMA = {
+  thresholds: { moderate: "percent", warning: "percent", critical: "percent" },
+  toolCheckpoint: {
+    mode: ["interval", "adaptive"],
+    everyN: "positiveInt",
+    deltaPct: "percent",
+    maxSilence: "positiveInt",
+    hysteresisPct: "percent",
+  },
+  injection: { format: ["compact", "native", "json"] },
+  statusLine: {
+    warnAt: "percent",
+    criticalAt: "percent",
+    template: "string",
+    theme: ["default", "nord", "solarized", "mono"],
+    colors: ["auto", "truecolor", "256", "none"],
+    barWidth: "positiveInt",
+    git: { enabled: "boolean", ttlSeconds: "positiveInt", budgetMs: "positiveInt" },
+    chain: {
+      enabled: "boolean",
+      placement: ["left", "right", "above", "below"],
+      timeoutMs: "positiveInt",
+    },
+  },
+  freshness: { staleSeconds: "positiveInt", transcriptFallback: "boolean" },
+  history: { enabled: "boolean", maxEntries: "positiveInt", windowTurns: "positiveInt" },
+  attribution: { enabled: "boolean", topN: "positiveInt" },
+  handoff: { enabled: "boolean", recentFiles: "positiveInt" },
+  gc: { enabled: "boolean", maxAgeDays: "positiveInt", intervalHours: "positiveInt" },
+  analytics: {
+    enabled: "boolean",
+    retentionDays: "positiveInt",
+    maxFileKb: "positiveInt",
+    rotateKeep: "positiveInt",
+  },
+  metrics: {
+    enabled: "boolean",
+    dir: "string",
+    format: ["prometheus", "openmetrics"],
+    intervalSeconds: "positiveInt",
+  },
+  budget: {
+    sessionUsd: "usd",
+    dailyUsd: "usd",
+    warnPct: "percent",
+    criticalPct: "percent",
+    enforce: "boolean",
+    hardPct: "positiveInt",
+    enforceTools: "stringArray",
+  },
+  readGuard: {
+    enabled: "boolean",
+    mode: ["deny", "ask", "warn"],
+    minUsedPct: "percent",
+    maxKb: "positiveInt",
+  },
+  modelPolicy: { allow: "stringArray", deny: "stringArray", quiet: "stringArray" },
+  modelWindows: "windowMap",
+  actions: { commands: "actionList", timeoutMs: "positiveInt" },
+  install: { keepBackups: "positiveInt" },
+  messages: {
+    prompt: { ok: "string", moderate: "string", warning: "string", critical: "string" },
+    tool: { warning: "string", critical: "string" },
+    sessionStart: "string",
+    sessionStartQuiet: "string",
+    budget: { warning: "string", critical: "string", exceeded: "string", denied: "string" },
+  },
+};
+
+// Events an action can run on, in the order they are fired
+const ACTION_EVENTS = [
+  "moderate",
+  "warning",
+  "critical",
+  "budget_warning",
+  "budget_critical",
+  "budget_exceeded",
+  "compaction",
+];
+
+const CHECKS = {
+  percent: {
+    test: (v) => typeof v === "number" && v >= 0 && v <= 100,
+    expect: "a number between 0 and 100",
+  },
+  positiveInt: {
+    test: (v) => Number.isInteger(v) && v >= 1,
+    expect: "an integer >= 1",
+  },
+  usd: {
+    test: (v) => typeof v === "number" && v >= 0,
+    expect: "an amount >= 0 (0 = no limit)",
+  },
+  boolean: {
+    test: (v) => typeof v === "boolean",
+    expect: "true or false",
+  },
+  string: {
+    test: (v) => typeof v === "string",
+    expect: "a string",
+  },
+  stringArray: {
+    test: (v) => Array.isArray(v) && v.every((x) => typeof x === "string"),
+    expect: "an array of strings",
+  },
+  windowMap: {
+    test: (v) =>
+      isPlainObject(v) &&
+      Object.values(v).every(
+        (e) =>
+          isPlainObject(e) &&
+          Object.keys(e).every((k) => k === "window" || k === "usable") &&
+          Number.isInteger(e.window) &&
+          e.window >= 1 &&
+          (e.usable === undefined || (Number.isInteger(e.usable) && e.usable >= 1 && e.usable <= e.window))
+      ),
+    expect: 'an object of model patterns to { "window": tokens, "usable": tokens <= window }',
+  },
+  actionList: {
+    test: (v) => Array.isArray(v) && v.every(isAction),
+    expect: `an array of { "on": event or [events], "run": command } with events from ${ACTION_EVENTS.join(", ")}`,
+  },
+};
+
+// [group, key] honored only in USER_CONFIG
+const USER_ONLY = [["actions", "commands"]];
+
+// Groups whose values must be strictly ascending, in this order
+const ASCENDING = [
+  ["thresholds", ["moderate", "warning", "critical"]],
+  ["statusLine", ["warnAt", "criticalAt"]],
+  ["budget", ["warnPct", "criticalPct", "hardPct"]],
+];
+
+// ── Public API ─────────────────────────────────────────────────────
+
+/**
+ * Load the effective configuration.
+ * @param {{cwd?: string, projectDir?: string}} [opts]
+ * @returns {{config: object, errors: string[], sources: string[]}}
+ */
+function loadConfig(opts = {}) {
+  const config = clone(DEFAULTS);
+  const errors = [];
+  const sources = [];
+
+  for (const file of configFiles(opts)) {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, "utf8");
+    } catch {
+      continue; // Not present — defaults apply
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      errors.push(`${file}: invalid JSON (${e.message})`);
+      continue;
+    }
+    if (!isPlainObject(parsed)) {
+      errors.push(`${file}: top level must be a JSON object`);
+      continue;
+    }
+
+    if (path.resolve(file) !== path.resolve(USER_CONFIG)) {
+      for (const [group, key] of USER_ONLY) {
+        if (!isPlainObject(parsed[group]) || !(key in parsed[group])) continue;
+        errors.push(`${file}: "${group}.${key}" is only read from ${USER_CONFIG} — ignored`);
+        parsed[group] = { ...parsed[group] };
+        delete parsed[group][key];
+      }
+    }
+
+    sources.push(file);
+    merge(config, parsed, SCHEMA, "", file, errors);
+  }
+
+  for (const [group, keys] of ASCENDING) {
+    for (let i = 1; i < keys.length; i++) {
+      if (config[group][keys[i - 1]] >= config[group][keys[i]]) {
+        errors.push(
+          `${group}: ${keys.join(" < ")} must be ascending ` +
+            `(got ${keys.map((k) => config[group][k]).join(", ")}) — using defaults`
+        );
+        for (const k of keys) config[group][k] = DEFAULTS[group][k];
+        break;
+      }
+    }
+  }
+
+  return { config, errors, sources };
+}
+
+/**
+ * Paths of the config files that apply, lowest precedence first.
+ * @param {{cwd?: string, projectDir?: string}} [opts]
+ * @returns {string[]}
+ */
+function configFiles(opts = {}) {
+  const files = [USER_CONFIG];
+  const projectDir = opts.projectDir || process.env.CLAUDE_PROJECT_DIR || opts.cwd;
+  if (projectDir) {
+    const projectFile = path.join(projectDir, ".claude", CONFIG_NAME);
+    if (path.resolve(projectFile) !== path.resolve(USER_CONFIG)) {
+      files.push(projectFile);
+    }
+  }
+  return files;
+}
+
+const TIERS = ["ok", "moderate", "warning", "critical"];
+
+/**
+ * Map a usage percentage to a tier name using the configured thresholds.
+ * @returns {"ok"|"moderate"|"warning"|"critical"}
+ */
+function tierFor(pct, thresholds) {
+  if (pct >= thresholds.critical) return "critical";
+  if (pct >= thresholds.warning) return "warning";
+  if (pct >= thresholds.moderate) return "moderate";
+  return "ok";
+}
+
+/**
+ * Tier for a percentage, but only drop below the previous tier once
+ * usage is hysteresisPct under that tier's threshold. Keeps a session
+ * hovering around a boundary from flip-flopping between two tiers.
+ */
+function tierWithHysteresis(pct, prevTier, thresholds, hysteresisPct) {
+  const tier = tierFor(pct, thresholds);
+  if (!prevTier || TIERS.indexOf(tier) >= TIERS.indexOf(prevTier)) return tier;
+  const floor = prevTier === "ok" ? 0 : thresholds[prevTier];
+  return pct > floor - hysteresisPct ? prevTier : tier;
+}
+
+/**
+ * Human-readable description of the tool checkpoint cadence, for the
+ * {cadence} placeholder.
+ */
+function describeCadence(toolCheckpoint) {
+  if (toolCheckpoint.mode === "adaptive") {
+    return "whenever usage changes tier or rises sharply during tool calls";
+  }
+  return `every ${toolCheckpoint.everyN} tool calls`;
+}
+
+/**
+ * Replace {name} placeholders in a message template.
+ * Unknown placeholders are left as-is.
+ */
+function interpolate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, key) =>
+    Object.prototype.hasOwnProperty.call(vars, key) ? String(vars[key]) : m
+  );
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+function merge(target, source, schema, prefix, file, errors) {
+  for (const [key, value] of Object.entries(source)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const rule = schema[key];
+
+    if (rule === undefined) {
+      errors.push(`${file}: unknown key "${keyPath}"`);
+      continue;
+    }
+
+    if (typeof rule === "object" && !Array.isArray(rule)) {
+      if (!isPlainObject(value)) {
+        errors.push(`${file}: "${keyPath}" must be an object`);
+        continue;
+      }
+      merge(target[key], value, rule, keyPath, file, errors);
+      continue;
+    }
+
+    const check = Array.isArray(rule)
+      ? { test: (v) => rule.includes(v), expect: `one of ${rule.map((r) => JSON.stringify(r)).join(", ")}` }
+      : CHECKS[rule];
+    if (!check.test(value)) {
+      errors.push(
+        `${file}: "${keyPath}" must be ${check.expect} (got ${JSON.stringify(value)})`
+      );
+      continue;
+    }
+    target[key] = value;
+  }
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// { "on": "critical" | ["warning", "critical"], "run": "command" }
+function isAction(a) {
+  if (!isPlainObject(a) || !Object.keys(a).every((k) => k === "on" || k === "run")) return false;
+  if (typeof a.run !== "string" || a.run.trim() === "") return false;
+  const events = typeof a.on === "string" ? [a.on] : a.on;
+  return Array.isArray(events) && events.length > 0 && events.every((e) => ACTION_EVENTS.includes(e));
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+module.exports = {
+  DEFAULTS,
+  USER_CONFIG,
+  ACTION_EVENTS,
+  loadConfig,
+  configFiles,
+  TIERS,
+  tierFor,
+  tierWithHysteresis,
+  describeCadence,
+  interpolate,
+};
@@ -0,0 +1,167 @@
+// format.cjs — Injection formats for the prompt and tool hooks
+// Both hooks collect the same report (usage, tier, advice, burn rate,
+// top consumers) and render it in the format set by injection.format:
+//
+//   compact — one line of text, e.g.
+//             "[CONTEXT MODERATE] 42% used (58% free) of 200k window | ..."
+//             "🟢 Context checkpoint (#5, after Read): 42% used, ..."
+//   native  — the tag Sonnet and Haiku receive natively, with absolute
+//             tokens and nothing else:
+//             "<system_warning>Token usage: 84000/200000; 116000 remaining</system_warning>"
+//   json    — one JSON object: pct, tokens, tier, advice, source,
+//             staleness, burn rate, ...
+//
+// A budget warning (context-lib/budget.cjs) goes into the same output: a
+// second line in compact, a second <system_warning> tag in native, a
+// "budget" field in json. So does a report without usage data ("no
+// session_id", "awaiting first status update"): a line of text in compact,
+// a "status" field in json, nothing in native.
+//
+// From the warning tier on, compact text also says how much room is
+// left before auto-compact (the model's usable ceiling, context-lib/models.cjs).
+//
+// Switching formats makes it possible to A/B which one the model
+// actually responds to.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const { describeSource } = require("./usage.cjs");
+const { formatTokens } = require("./history.cjs");
+
+const FORMATS = ["compact", "native", "json"];
+
+const ICONS = { ok: "🟢", moderate: "🟢", warning: "🟡", critical: "🔴" };
+
+// Why a report has no usage, as compact text
+const STATUS_TEXT = {
+  no_session_id: "[Context tracking: no session_id available]",
+  awaiting_first_update: "[Context tracking: awaiting first status update]",
+};
+
+/**
+ * Render a usage report as injected text ("" when there is nothing to say).
+ * @param {"compact"|"native"|"json"} format  config.injection.format
+ * @param {{hook: "prompt"|"tool", usage?: object|null, status?: string,
+ *   tier?: string, label?: string, advice?: string, burn?: string, top?: string,
+ *   note?: string, count?: number, tool?: string, turn?: number,
+ *   budget?: object|null, budgetMessage?: string}} report
+ *   usage: context-lib/usage.cjs currentUsage(), absent when the hook stays
+ *   silent about usage; status: why it is absent ("no_session_id",
+ *   "awaiting_first_update"); label: messages.prompt[tier]; advice: the
+ *   hook's own messages.prompt[tier] / messages.tool[tier] for
+ *   warning/critical, "" otherwise; budget: context-lib/budget.cjs
+ *   budgetStatus() when a budget warning is due, with its budgetMessage()
+ */
+function formatReport(format, report) {
+  if (format === "native") return formatNative(report);
+  if (format === "json") return formatJson(report);
+  return formatCompact(report);
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+function formatCompact(r) {
+  const lines = [];
+  if (r.usage) lines.push(r.hook === "prompt" ? compactPrompt(r) : compactTool(r));
+  else if (r.status) lines.push(STATUS_TEXT[r.status]);
+  if (r.budget) lines.push(r.budgetMessage);
+  return lines.join("\n");
+}
+
+function compactPrompt(r) {
+  const { pct, rem, win } = numbers(r.usage);
+  let msg = `[CONTEXT ${r.label}] ${pct}% used (${rem}% free) of ${win} window`;
+  // Session totals from the status line; the estimate only knows the last message
+  if (r.usage.source === "bridge") msg += ` | ~${r.usage.input_tokens} in / ~${r.usage.output_tokens} out`;
+  const source = describeSource(r.usage);
+  if (source) msg += ` | ${source}`;
+  msg += untilCompact(r);
+  if (r.burn) msg += ` | ${r.burn}`;
+  return msg;
+}
+
+function compactTool(r) {
+  const { pct, rem, win } = numbers(r.usage);
+  let msg = `${ICONS[r.tier]} Context checkpoint (#${r.count}, after ${r.tool}): ${pct}% used, ${rem}% free of ${win}`;
+  if (r.note) msg += ` (${r.note})`;
+  const source = describeSource(r.usage);
+  if (source) msg += ` | ${source}`;
+  msg += untilCompact(r);
+  if (r.burn) msg += ` | ${r.burn}`;
+  if (r.top) msg += ` | ${r.top}`;
+  if (r.advice) msg += `. ${r.advice}`;
+  return msg;
+}
+
+function formatNative(r) {
+  const tags = [];
+  if (r.usage) {
+    const { used, window } = tokens(r.usage);
+    tags.push(`Token usage: ${used}/${window}; ${window - used} remaining`);
+  }
+  if (r.budget) tags.push(r.budgetMessage);
+  return tags.map((t) => `<system_warning>${t}</system_warning>`).join("\n");
+}
+
+function formatJson(r) {
+  const out = r.usage ? usageJson(r) : { context: r.hook };
+  if (!r.usage && r.status) out.status = r.status;
+  if (r.budget) {
+    const { level, scope, spent, limit, pct } = r.budget;
+    out.budget = { level, scope, spent, limit, pct, message: r.budgetMessage };
+  }
+  return Object.keys(out).length > 1 ? JSON.stringify(out) : "";
+}
+
+function usageJson(r) {
+  const { used, window } = tokens(r.usage);
+  const out = {
+    context: r.hook,
+    used_pct: Math.round(r.usage.used_pct),
+    used_tokens: used,
+    remaining_tokens: window - used,
+    window_size: window,
+    usable_tokens: r.usage.usable_tokens,
+    until_compact_tokens: Math.max(0, r.usage.usable_tokens - used),
+    tier: r.tier,
+    advice: r.advice || null,
+    source: r.usage.source,
+    stale: r.usage.stale,
+    data_age_s: r.usage.bridge_age_ms === null ? null : Math.round(r.usage.bridge_age_ms / 1000),
+  };
+  if (r.usage.source === "bridge") {
+    out.input_tokens = r.usage.input_tokens;
+    out.output_tokens = r.usage.output_tokens;
+  }
+  if (r.hook === "prompt") out.turn = r.turn;
+  if (r.hook === "tool") Object.assign(out, { call: r.count, tool: r.tool, note: r.note || null });
+  out.burn = r.burn || null;
+  if (r.hook === "tool") out.top = r.top || null;
+  return out;
+}
+
+// " | ~12k until auto-compact" once it matters
+function untilCompact(r) {
+  if (r.tier !== "warning" && r.tier !== "critical") return "";
+  const left = r.usage.usable_tokens - tokens(r.usage).used;
+  return left > 0 ? ` | ~${formatTokens(left)} until auto-compact` : " | auto-compact imminent";
+}
+
+function numbers(usage) {
+  return {
+    pct: Math.round(usage.used_pct),
+    rem: Math.round(usage.remaining_pct),
+    win: formatTokens(usage.window_size),
+  };
+}
+
+function tokens(usage) {
+  const window = usage.window_size;
+  return { used: Math.min(window, Math.round((usage.used_pct / 100) * window)), window };
+}
+
+module.exports = {
+  FORMATS,
+  formatReport,
+};
@@ -0,0 +1,194 @@
+// gc.cjs — Garbage collection of orphaned session files
+// session-cleanup.cjs removes a session's files on SessionEnd, but a
+// crashed or killed session never fires it. This sweeps temp files and
+// durable session dirs whose session has been idle for longer than a
+// cut-off, judged by file mtimes and the bridge file's `timestamp`.
+//
+// Runs opportunistically from context-session-start.cjs (at most once per
+// gc.intervalHours) and from `node setup.js --gc`. A session updated in
+// the last MIN_IDLE_MS is never touched, whatever the cut-off.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SESSION_FILES, STATE_DIR } = require("./session-files.cjs");
+const { writeFileAtomic, LEFTOVER_RE } = require("./atomic.cjs");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Floor for any cut-off: a session this fresh may still be running
+const MIN_IDLE_MS = HOUR_MS;
+
+// Throttle record for the opportunistic sweep
+const GC_STATE = path.join(STATE_DIR, "gc.json");
+
+const UNITS = { m: 60 * 1000, h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS };
+
+/**
+ * Parse a duration like "7d", "12h", "30m" or "2w" (bare number = days).
+ * @param {string} text
+ * @returns {number|null} milliseconds, or null if unparseable
+ */
+function parseDuration(text) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*([mhdw]?)\s*$/i.exec(String(text));
+  if (!m) return null;
+  return parseFloat(m[1]) * UNITS[(m[2] || "d").toLowerCase()];
+}
+
+/**
+ * Every session that has files on disk, with its last sign of activity.
+ * @returns {{sessionId: string, files: string[], dirs: string[], lastActive: number}[]}
+ */
+function scanSessions() {
+  const sessions = new Map();
+  const entry = (sid) => {
+    if (!sessions.has(sid)) sessions.set(sid, { sessionId: sid, files: [], dirs: [], lastActive: 0 });
+    return sessions.get(sid);
+  };
+
+  const tmp = os.tmpdir();
+  let names = [];
+  try {
+    names = fs.readdirSync(tmp);
+  } catch {
+    // tmpdir unreadable — nothing to collect there
+  }
+  for (const name of names) {
+    // Temp and lock files left by an interrupted write belong to their target
+    const base = name.replace(LEFTOVER_RE, "");
+    for (const [kind, [prefix, suffix]] of Object.entries(SESSION_FILES)) {
+      if (!base.startsWith(prefix) || !base.endsWith(suffix)) continue;
+      const sid = base.slice(prefix.length, base.length - suffix.length);
+      if (!sid) continue;
+      const file = path.join(tmp, name);
+      const s = entry(sid);
+      s.files.push(file);
+      s.lastActive = Math.max(s.lastActive, mtimeOf(file));
+      if (kind === "bridge") s.lastActive = Math.max(s.lastActive, bridgeTimestamp(file));
+      break;
+    }
+  }
+
+  const sessionsDir = path.join(STATE_DIR, "sessions");
+  let dirs = [];
+  try {
+    dirs = fs.readdirSync(sessionsDir);
+  } catch {
+    // No durable state yet
+  }
+  for (const sid of dirs) {
+    const dir = path.join(sessionsDir, sid);
+    const s = entry(sid);
+    s.dirs.push(dir);
+    s.lastActive = Math.max(s.lastActive, mtimeOf(dir));
+    try {
+      for (const f of fs.readdirSync(dir)) {
+        s.lastActive = Math.max(s.lastActive, mtimeOf(path.join(dir, f)));
+      }
+    } catch {
+      // Not a directory — its own mtime counts
+    }
+  }
+
+  return [...sessions.values()];
+}
+
+/**
+ * Remove the files of sessions idle for longer than maxAgeMs.
+ * @param {{maxAgeMs: number, dryRun?: boolean, keep?: string[], now?: number}} opts
+ *   keep: session ids never to collect (e.g. the one starting now)
+ * @returns {{removed: object[], kept: object[]}} sessions as from scanSessions
+ */
+function collectGarbage({ maxAgeMs, dryRun = false, keep = [], now = Date.now() }) {
+  const cutoff = now - Math.max(maxAgeMs, MIN_IDLE_MS);
+  const removed = [];
+  const kept = [];
+
+  for (const s of scanSessions()) {
+    if (keep.includes(s.sessionId) || s.lastActive > cutoff) {
+      kept.push(s);
+      continue;
+    }
+    if (!dryRun) {
+      for (const f of s.files) {
+        try {
+          fs.unlinkSync(f);
+        } catch {
+          // Already gone
+        }
+      }
+      for (const d of s.dirs) {
+        try {
+          fs.rmSync(d, { recursive: true, force: true });
+        } catch {
+          // Non-fatal — retried on the next sweep
+        }
+      }
+    }
+    removed.push(s);
+  }
+  return { removed, kept };
+}
+
+/**
+ * Throttled sweep for the SessionStart hook: runs at most once per
+ * gc.intervalHours. Never throws.
+ * @param {{enabled: boolean, maxAgeDays: number, intervalHours: number}} gc
+ * @param {string} [currentSessionId]
+ * @returns {number|null} sessions removed, or null if the sweep was skipped
+ */
+function maybeCollectGarbage(gc, currentSessionId) {
+  if (!gc.enabled) return null;
+  try {
+    let last = 0;
+    try {
+      last = JSON.parse(fs.readFileSync(GC_STATE, "utf8")).last_run || 0;
+    } catch {
+      // Never run
+    }
+    const now = Date.now();
+    if (now - last < gc.intervalHours * HOUR_MS) return null;
+
+    const { removed } = collectGarbage({
+      maxAgeMs: gc.maxAgeDays * DAY_MS,
+      keep: currentSessionId ? [currentSessionId] : [],
+      now,
+    });
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    writeFileAtomic(GC_STATE, JSON.stringify({ last_run: now, removed: removed.length }));
+    return removed.length;
+  } catch {
+    return null;
+  }
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+function mtimeOf(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+function bridgeTimestamp(file) {
+  try {
+    return Date.parse(JSON.parse(fs.readFileSync(file, "utf8")).timestamp) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+module.exports = {
+  DAY_MS,
+  MIN_IDLE_MS,
+  parseDuration,
+  scanSessions,
+  collectGarbage,
+  maybeCollectGarbage,
+};
@@ -0,0 +1,222 @@
+// git-info.cjs — Cached git state for the status line
+// The status line refreshes constantly; spawning git on every render is
+// slow in large monorepos and on WSL2 mounts. So:
+//
+//   - branch, detached HEAD and linked worktree come straight from the
+//     HEAD file (no process spawned);
+//   - dirty/untracked counts and ahead/behind come from
+//     `git status --porcelain=v2 --branch`, cached per repo in
+//     {tmpdir}/claude-git-cache.json (updated under its lock, see
+//     context-lib/atomic.cjs) and reused while HEAD's mtime is
+//     unchanged and the entry is younger than statusLine.git.ttlSeconds;
+//   - a stale entry is still shown while a detached background process
+//     refreshes it; only a cold cache runs git inline, bounded by
+//     statusLine.git.budgetMs, and falls back to the HEAD-only info
+//     (refreshing in the background) when git takes longer.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync, spawn } = require("child_process");
+const { writeFileAtomic, withLock } = require("./atomic.cjs");
+
+const CACHE_FILE = path.join(os.tmpdir(), "claude-git-cache.json");
+
+// Entries kept in the cache file, and how long a started refresh
+// suppresses starting another one
+const MAX_ENTRIES = 50;
+const REFRESH_GRACE_MS = 10 * 1000;
+
+// Hard ceiling for a background `git status`
+const REFRESH_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Git state of the repository containing cwd.
+ * @param {string} cwd
+ * @param {{enabled: boolean, ttlSeconds: number, budgetMs: number}} opts  config.statusLine.git
+ * @returns {{branch: string, detached: boolean, worktree: string, dirty: number,
+ *   untracked: number, ahead: number, behind: number, upstream: boolean}|null}
+ *   null outside a repository (or when disabled)
+ */
+function gitInfo(cwd, opts) {
+  if (!opts.enabled || !cwd) return null;
+  const repo = findRepo(cwd);
+  if (!repo) return null;
+
+  const head = readHead(repo.gitDir);
+  const base = {
+    branch: head.branch,
+    detached: head.detached,
+    worktree: repo.worktree,
+    dirty: 0,
+    untracked: 0,
+    ahead: 0,
+    behind: 0,
+    upstream: false,
+  };
+
+  const cache = readCache();
+  const entry = cache[repo.root];
+  const now = Date.now();
+  const fresh =
+    entry && entry.head_mtime === head.mtime && now - entry.t < opts.ttlSeconds * 1000;
+  if (fresh) return { ...base, ...entry.status };
+
+  if (entry) {
+    // Stale: show what we have, refresh for the next render
+    startRefresh(repo.root, cache, now);
+    return { ...base, ...entry.status };
+  }
+
+  // Cold cache: try inline within the time budget
+  const status = runStatus(repo.root, opts.budgetMs);
+  if (status) {
+    writeEntry(repo.root, { t: now, head_mtime: head.mtime, status });
+    return { ...base, ...status };
+  }
+  startRefresh(repo.root, cache, now);
+  return base;
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+
+// Walk up to the directory holding .git. A .git *file* ("gitdir: ...")
+// marks a linked worktree or submodule.
+function findRepo(cwd) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const dotGit = path.join(dir, ".git");
+    let st = null;
+    try {
+      st = fs.statSync(dotGit);
+    } catch {
+      // Not here — keep walking
+    }
+    if (st && st.isDirectory()) return { root: dir, gitDir: dotGit, worktree: "" };
+    if (st && st.isFile()) {
+      try {
+        const m = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(dotGit, "utf8"));
+        if (m) {
+          const gitDir = path.resolve(dir, m[1].trim());
+          const wt = /[\\/]worktrees[\\/]([^\\/]+)$/.exec(gitDir);
+          return { root: dir, gitDir, worktree: wt ? wt[1] : "" };
+        }
+      } catch {
+        // Unreadable .git file — not a usable repo
+      }
+      return null;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function readHead(gitDir) {
+  const file = path.join(gitDir, "HEAD");
+  try {
+    const text = fs.readFileSync(file, "utf8").trim();
+    const mtime = fs.statSync(file).mtimeMs;
+    const ref = /^ref:\s*refs\/heads\/(.+)$/.exec(text);
+    if (ref) return { branch: ref[1], detached: false, mtime };
+    return { branch: text.slice(0, 7), detached: true, mtime };
+  } catch {
+    return { branch: "", detached: false, mtime: 0 };
+  }
+}
+
+// Parse `git status --porcelain=v2 --branch`; null on failure/timeout
+function runStatus(root, timeoutMs) {
+  let out;
+  try {
+    out = execFileSync("git", ["--no-optional-locks", "status", "--porcelain=v2", "--branch"], {
+      cwd: root,
+      encoding: "utf8",
+      timeout: timeoutMs,
+      stdio: ["ignore", "pipe", "ignore"],
+      windowsHide: true,
+    });
+  } catch {
+    return null;
+  }
+
+  const status = { dirty: 0, untracked: 0, ahead: 0, behind: 0, upstream: false };
+  for (const line of out.split("\n")) {
+    if (line.startsWith("# branch.upstream ")) {
+      status.upstream = true;
+    } else if (line.startsWith("# branch.ab ")) {
+      const m = /\+(\d+) -(\d+)/.exec(line);
+      if (m) {
+        status.ahead = Number(m[1]);
+        status.behind = Number(m[2]);
+      }
+    } else if (/^[12u] /.test(line)) {
+      status.dirty++;
+    } else if (line.startsWith("? ")) {
+      status.untracked++;
+    }
+  }
+  return status;
+}
+
+function readCache() {
+  try {
+    const cache = JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
+    if (cache && typeof cache === "object") return cache;
+  } catch {
+    // No cache yet
+  }
+  return {};
+}
+
+// Locked: status lines of other sessions and their background refreshes
+// update other repos' entries in the same file. Skipped if it stays
+// locked — the next render runs git again.
+function writeEntry(root, entry) {
+  withLock(CACHE_FILE, () => {
+    const cache = readCache();
+    cache[root] = entry;
+    const roots = Object.keys(cache).sort((a, b) => (cache[b].t || 0) - (cache[a].t || 0));
+    for (const r of roots.slice(MAX_ENTRIES)) delete cache[r];
+    try {
+      writeFileAtomic(CACHE_FILE, JSON.stringify(cache));
+    } catch {
+      // Non-fatal — next render runs git again
+    }
+  });
+}
+
+// Detached `node git-info.cjs --refresh <root>`; at most one per grace period
+function startRefresh(root, cache, now) {
+  const entry = cache[root] || {};
+  if (entry.refreshing && now - entry.refreshing < REFRESH_GRACE_MS) return;
+  writeEntry(root, { t: 0, head_mtime: 0, ...entry, refreshing: now });
+  try {
+    spawn(process.execPath, [__filename, "--refresh", root], {
+      detached: true,
+      stdio: "ignore",
+      windowsHide: true,
+    }).unref();
+  } catch {
+    // Can't spawn — the next render retries after the grace period
+  }
+}
+
+// ── Background refresh entry point ─────────────────────────────────
+if (require.main === module && process.argv[2] === "--refresh" && process.argv[3]) {
+  const root = process.argv[3];
+  const repo = findRepo(root);
+  const status = repo && runStatus(repo.root, REFRESH_TIMEOUT_MS);
+  if (repo && status) {
+    writeEntry(repo.root, { t: Date.now(), head_mtime: readHead(repo.gitDir).mtime, status });
+  }
+}
+
+module.exports = {
+  CACHE_FILE,
+  gitInfo,
+};
@@ -0,0 +1,89 @@
+// handoff.cjs — Working-state handoff across compaction and resume
+// context-pre-compact.cjs writes a handoff record just before Claude Code
+// compacts the conversation; context-session-start.cjs reads it back
+// when the session restarts with source "compact" or "resume" and
+// injects a concise summary, so the model knows where it was.
+//
+// Record: ~/.claude/context-hooks/sessions/{session_id}/handoff.json
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { sessionStateDir } = require("./session-files.cjs");
+const { formatTokens } = require("./history.cjs");
+const { writeFileAtomic } = require("./atomic.cjs");
+const { DEFAULT_WINDOW } = require("./models.cjs");
+
+function handoffPath(sessionId) {
+  return path.join(sessionStateDir(sessionId), "handoff.json");
+}
+
+/** The session's handoff record, or null if none was written. */
+function readHandoff(sessionId) {
+  try {
+    return JSON.parse(fs.readFileSync(handoffPath(sessionId), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/** Persist a handoff record. Returns false if it could not be written. */
+function writeHandoff(sessionId, record) {
+  try {
+    fs.mkdirSync(sessionStateDir(sessionId), { recursive: true });
+    writeFileAtomic(handoffPath(sessionId), JSON.stringify(record, null, 2));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Concise summary of a handoff record for additionalContext.
+ * @param {object} record
+ * @param {"compact"|"resume"} source
+ */
+function summarizeHandoff(record, source) {
+  const lines = [];
+  const when = source === "compact" ? "restored after compaction" : "restored on resume";
+  lines.push(`[Context handoff — ${when}]`);
+
+  const u = record.usage;
+  if (u) {
+    const windowSize = u.window_size ?? DEFAULT_WINDOW;
+    const used = formatTokens(((u.used_pct ?? 0) / 100) * windowSize);
+    lines.push(
+      `Before ${record.trigger === "auto" ? "auto-" : ""}compaction: ` +
+        `${Math.round(u.used_pct ?? 0)}% used (~${used} of ${formatTokens(windowSize)})` +
+        (u.model ? `, ${u.model}` : "") +
+        (u.cost_usd ? `, $${u.cost_usd.toFixed(2)} spent` : "")
+    );
+  }
+
+  const tools = Object.entries(record.tools || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([name, n]) => `${name} ${n}`);
+  if (record.tool_calls) {
+    lines.push(`Tool calls so far: ${record.tool_calls}${tools.length ? ` (${tools.join(", ")})` : ""}`);
+  }
+
+  if (record.recent_files && record.recent_files.length > 0) {
+    lines.push(`Recently touched files: ${record.recent_files.join(", ")}`);
+  }
+  if (record.git_branch) lines.push(`Git branch: ${record.git_branch}`);
+  if (record.compactions > 1) lines.push(`Compactions this session: ${record.compactions}`);
+  lines.push("Re-read files only when needed; prefer targeted reads.");
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  handoffPath,
+  readHandoff,
+  writeHandoff,
+  summarizeHandoff,
+};
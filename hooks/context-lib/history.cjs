@@ -0,0 +1,167 @@
+// history.cjs — Per-session usage history, burn rate and projections
+// statusline-bridge.cjs appends a snapshot to
+// {tmpdir}/claude-context-history-{session_id}.jsonl whenever usage, the
+// turn number or the tool-call count changes. The prompt and tool hooks
+// derive tokens-per-turn / tokens-per-tool-call from it and project how
+// many turns remain before the critical threshold.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const { sessionFile } = require("./session-files.cjs");
+const { writeFileAtomic, withLock } = require("./atomic.cjs");
+
+// A drop larger than this fraction is treated as a compaction: burn rate
+// is only measured on the segment after it.
+const COMPACTION_DROP = 0.1;
+
+/** Read all snapshots of a session (oldest first). */
+function readHistory(sessionId) {
+  let raw;
+  try {
+    raw = fs.readFileSync(sessionFile("history", sessionId), "utf8");
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const line of raw.split("\n")) {
+    if (!line) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // Torn line — skip
+    }
+  }
+  return out;
+}
+
+/**
+ * Append a snapshot unless it is identical to the previous one, keeping
+ * at most maxEntries lines.
+ * @param {string} sessionId
+ * @param {{t: string, used_pct: number, used_tokens: number, turn: number, tool_calls: number}} snap
+ * @param {number} maxEntries
+ */
+function appendSnapshot(sessionId, snap, maxEntries) {
+  const file = sessionFile("history", sessionId);
+  // Skipped if the history stays locked; the next render appends
+  withLock(file, () => {
+    const history = readHistory(sessionId);
+    const last = history[history.length - 1];
+    if (
+      last &&
+      last.used_tokens === snap.used_tokens &&
+      last.turn === snap.turn &&
+      last.tool_calls === snap.tool_calls
+    ) {
+      return;
+    }
+
+    history.push(snap);
+    const kept = history.slice(-maxEntries);
+    try {
+      writeFileAtomic(file, kept.map((s) => JSON.stringify(s)).join("\n") + "\n");
+    } catch {
+      // Non-fatal — burn rate just won't be available
+    }
+  });
+}
+
+/**
+ * Tokens consumed per turn and per tool call over the recent window.
+ * Either rate is null when there is not enough history.
+ * @param {object[]} history
+ * @param {number} windowTurns  how many completed turns to average over
+ * @returns {{perTurn: number|null, perTool: number|null}}
+ */
+function burnRate(history, windowTurns) {
+  const seg = sinceLastCompaction(history);
+  if (seg.length < 2) return { perTurn: null, perTool: null };
+
+  // Tokens at the end of each turn (last snapshot seen for that turn)
+  const endOfTurn = new Map();
+  for (const s of seg) endOfTurn.set(s.turn, s.used_tokens);
+  const turns = [...endOfTurn.keys()].sort((a, b) => a - b);
+
+  const first = turns[Math.max(0, turns.length - 1 - windowTurns)];
+
+  let perTurn = null;
+  if (turns.length >= 2) {
+    const last = turns[turns.length - 1];
+    const grown = endOfTurn.get(last) - endOfTurn.get(first);
+    if (last > first && grown > 0) perTurn = grown / (last - first);
+  }
+
+  let perTool = null;
+  const newest = seg[seg.length - 1];
+  const oldest = seg.find((s) => s.turn >= first);
+  const calls = newest.tool_calls - oldest.tool_calls;
+  const grown = newest.used_tokens - oldest.used_tokens;
+  if (calls > 0 && grown > 0) perTool = grown / calls;
+
+  return { perTurn, perTool };
+}
+
+/**
+ * Number of steps (turns or tool calls) until usage reaches targetPct.
+ * Returns null without a rate, 0 when already there.
+ */
+function stepsUntil(usedTokens, windowSize, targetPct, rate) {
+  if (!rate) return null;
+  const remaining = (targetPct / 100) * windowSize - usedTokens;
+  if (remaining <= 0) return 0;
+  return Math.ceil(remaining / rate);
+}
+
+/**
+ * One-line burn summary for injected messages, e.g.
+ * "~9.5k tokens/turn, ~6 turns until 80%". Empty without enough history.
+ * @param {object[]} history
+ * @param {{used_pct: number, window_size: number}} data  bridge snapshot
+ * @param {number} targetPct  usually the critical threshold
+ * @param {number} windowTurns
+ * @param {"turn"|"tool"} unit
+ */
+function burnSummary(history, data, targetPct, windowTurns, unit) {
+  const rates = burnRate(history, windowTurns);
+  const rate = unit === "turn" ? rates.perTurn : rates.perTool;
+  if (!rate) return "";
+
+  const [one, many] = unit === "turn" ? ["turn", "turns"] : ["tool call", "calls"];
+  const usedTokens = (data.used_pct / 100) * data.window_size;
+  const steps = stepsUntil(usedTokens, data.window_size, targetPct, rate);
+
+  let out = `~${formatTokens(rate)} tokens/${one}`;
+  if (steps > 0) out += `, ~${steps} ${steps === 1 ? one : many} until ${targetPct}%`;
+  return out;
+}
+
+/** 9500 → "9.5k", 840 → "840", 1000000 → "1M" */
+function formatTokens(n) {
+  if (n >= 1000000) return `${+(n / 1000000).toFixed(1)}M`;
+  if (n >= 1000) return `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}k`;
+  return String(Math.round(n));
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+function sinceLastCompaction(history) {
+  for (let i = history.length - 1; i > 0; i--) {
+    const prev = history[i - 1].used_tokens;
+    if (prev > 0 && history[i].used_tokens < prev * (1 - COMPACTION_DROP)) {
+      return history.slice(i);
+    }
+  }
+  return history;
+}
+
+module.exports = {
+  COMPACTION_DROP,
+  readHistory,
+  appendSnapshot,
+  burnRate,
+  stepsUntil,
+  burnSummary,
+  formatTokens,
+};
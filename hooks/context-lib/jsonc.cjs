@@ -0,0 +1,345 @@
+// jsonc.cjs — Comment-tolerant, format-preserving settings.json edits
+// settings.json is edited by hand: a stray trailing comma or a comment
+// makes JSON.parse throw, and rewriting the file from the parsed object
+// would drop every comment and reflow the user's formatting. So:
+//
+//   - parseJsonc() accepts // and /* */ comments and trailing commas, and
+//     throws a SyntaxError with line and column on anything else;
+//   - applyChanges() edits the original text in place: only members whose
+//     values changed are rewritten, added or removed — in a multi-line
+//     array (e.g. a hook event's entries) only the elements added or
+//     removed; comments, key order and indentation elsewhere stay byte for
+//     byte.
+//
+// Used by setup.js for install, uninstall and --doctor.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+/**
+ * Parse JSON with comments and trailing commas.
+ * @param {string} text
+ * @returns {unknown}
+ */
+function parseJsonc(text) {
+  const root = parseTree(text);
+  return root ? root.value : undefined;
+}
+
+/**
+ * Rewrite text (JSONC holding an object) so that it parses to `after`,
+ * touching only what changed. Empty text yields fresh JSON.
+ * @param {string} text
+ * @param {object} after
+ * @returns {string}
+ */
+function applyChanges(text, after) {
+  const root = parseTree(text);
+  const unit = detectIndent(text);
+  // Nothing to preserve in an empty or one-line file
+  if (!root || root.type !== "object" || !isMultiline(text, root)) return JSON.stringify(after, null, unit) + "\n";
+
+  const edits = [];
+  diffObject(text, root, after, unit, edits);
+  // Back to front; at equal offsets a deletion goes before an insertion
+  edits.sort((a, b) => b.start - a.start || b.end - a.end);
+  let out = text;
+  for (const e of edits) out = out.slice(0, e.start) + e.text + out.slice(e.end);
+
+  // Never trade correctness for formatting
+  let check;
+  try {
+    check = parseJsonc(out);
+  } catch {
+    check = undefined;
+  }
+  return deepEqual(check, after) ? out : JSON.stringify(after, null, unit) + "\n";
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+
+// Node: {type: "object"|"array"|"value", start, end, value, members?, items?}
+// where members are {key, start, value: node, commaEnd: number|null} and
+// items the same without key
+function parseTree(text) {
+  let pos = 0;
+  const WS = /[ \t\r\n\uFEFF]+/y;
+  const STRING = /"(?:[^"\\\n]|\\.)*"/y;
+  const LITERAL = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?|true|false|null/y;
+  const match = (re) => {
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    return m ? m[0] : null;
+  };
+
+  const fail = (msg) => {
+    const before = text.slice(0, pos).split("\n");
+    throw new SyntaxError(`${msg} at line ${before.length}, column ${before[before.length - 1].length + 1}`);
+  };
+
+  const skip = () => {
+    for (;;) {
+      const ws = match(WS);
+      if (ws) {
+        pos += ws.length;
+        continue;
+      }
+      if (text.startsWith("//", pos)) {
+        const nl = text.indexOf("\n", pos);
+        pos = nl < 0 ? text.length : nl + 1;
+        continue;
+      }
+      if (text.startsWith("/*", pos)) {
+        const close = text.indexOf("*/", pos + 2);
+        if (close < 0) fail("Unterminated comment");
+        pos = close + 2;
+        continue;
+      }
+      return;
+    }
+  };
+
+  const value = () => {
+    skip();
+    const start = pos;
+    const ch = text[pos];
+    if (ch === "{") return object(start);
+    if (ch === "[") return array(start);
+    if (ch === '"') return { type: "value", start, end: pos = stringEnd(), value: JSON.parse(text.slice(start, pos)) };
+    const literal = match(LITERAL);
+    if (!literal) fail(ch === undefined ? "Unexpected end of input" : `Unexpected character ${JSON.stringify(ch)}`);
+    pos += literal.length;
+    return { type: "value", start, end: pos, value: JSON.parse(literal) };
+  };
+
+  const stringEnd = () => {
+    const str = match(STRING);
+    if (!str) fail("Unterminated string");
+    return pos + str.length;
+  };
+
+  const object = (start) => {
+    pos++;
+    const node = { type: "object", start, end: 0, value: {}, members: [] };
+    for (;;) {
+      skip();
+      if (text[pos] === "}") break;
+      if (text[pos] !== '"') fail("Expected a property name");
+      const keyStart = pos;
+      pos = stringEnd();
+      const key = JSON.parse(text.slice(keyStart, pos));
+      skip();
+      if (text[pos] !== ":") fail('Expected ":"');
+      pos++;
+      const member = { key, start: keyStart, value: value(), commaEnd: null };
+      node.members.push(member);
+      node.value[key] = member.value.value;
+      skip();
+      if (text[pos] === ",") {
+        member.commaEnd = ++pos;
+        continue;
+      }
+      if (text[pos] !== "}") fail('Expected "," or "}"');
+    }
+    node.end = ++pos;
+    return node;
+  };
+
+  const array = (start) => {
+    pos++;
+    const node = { type: "array", start, end: 0, value: [], items: [] };
+    for (;;) {
+      skip();
+      if (text[pos] === "]") break;
+      const item = { start: pos, value: value(), commaEnd: null };
+      node.items.push(item);
+      node.value.push(item.value.value);
+      skip();
+      if (text[pos] === ",") {
+        item.commaEnd = ++pos;
+        continue;
+      }
+      if (text[pos] !== "]") fail('Expected "," or "]"');
+    }
+    node.end = ++pos;
+    return node;
+  };
+
+  skip();
+  if (pos >= text.length) return null; // Empty file
+  const root = value();
+  skip();
+  if (pos < text.length) fail("Unexpected content after the top-level value");
+  return root;
+}
+
+// Collect edits turning object node into `want`
+function diffObject(text, node, want, unit, edits) {
+  const kept = node.members.filter((m) => Object.prototype.hasOwnProperty.call(want, m.key));
+  if (kept.length === 0) {
+    edits.push({ start: node.start, end: node.end, text: render(want, lineIndent(text, node.start), unit) });
+    return;
+  }
+
+  for (const m of kept) {
+    const target = want[m.key];
+    if (deepEqual(m.value.value, target)) continue;
+    const multiline = isMultiline(text, m.value);
+    if (m.value.type === "object" && isPlainObject(target) && multiline) {
+      diffObject(text, m.value, target, unit, edits);
+    } else if (m.value.type === "array" && Array.isArray(target) && multiline) {
+      diffArray(text, m.value, target, unit, edits);
+    } else {
+      const json = multiline ? render(target, lineIndent(text, m.start), unit) : oneLine(target);
+      edits.push({ start: m.value.start, end: m.value.end, text: json });
+    }
+  }
+
+  const added = Object.keys(want).filter((k) => !node.members.some((m) => m.key === k));
+  spliceEntries(text, node.members, kept, (indent) =>
+    added.map((k) => `${indent}${JSON.stringify(k)}: ${render(want[k], indent, unit)}`), edits);
+}
+
+// Collect edits turning array node into `want`. Elements found in `want`
+// (in order) keep their text and the comments around them; the others
+// are removed, and the missing ones inserted where `want` has them.
+function diffArray(text, node, want, unit, edits) {
+  const kept = [];
+  const at = new Map(); // kept item → its index in want
+  for (const item of node.items) {
+    const from = kept.length > 0 ? at.get(kept[kept.length - 1]) + 1 : 0;
+    const i = want.findIndex((w, j) => j >= from && deepEqual(item.value.value, w));
+    if (i < 0) continue;
+    kept.push(item);
+    at.set(item, i);
+  }
+  if (kept.length === 0) {
+    edits.push({ start: node.start, end: node.end, text: render(want, lineIndent(text, node.start), unit) });
+    return;
+  }
+
+  // New elements before a kept one go on their own lines above it (and
+  // above the comments leading up to it)
+  let from = 0;
+  for (const item of kept) {
+    const before = want.slice(from, at.get(item));
+    if (before.length > 0) {
+      const indent = lineIndent(text, item.start);
+      const i = node.items.indexOf(item);
+      const after = i > 0 ? node.items[i - 1].commaEnd : node.start + 1;
+      const lineEnd = lineRestEnd(text, after);
+      if (lineEnd > after) {
+        const body = before.map((v) => `${indent}${render(v, indent, unit)},\n`).join("");
+        edits.push({ start: lineEnd, end: lineEnd, text: body });
+      } else {
+        // Shares its line with what precedes it
+        const body = before.map((v) => `${render(v, indent, unit)},\n${indent}`).join("");
+        edits.push({ start: item.start, end: item.start, text: body });
+      }
+    }
+    from = at.get(item) + 1;
+  }
+
+  const added = want.slice(from);
+  spliceEntries(text, node.items, kept, (indent) => added.map((v) => `${indent}${render(v, indent, unit)}`), edits);
+}
+
+// Collect edits removing the entries (object members or array items) not
+// kept, and adding the lines renderAdded(indent) returns after the last
+// kept one
+function spliceEntries(text, entries, kept, renderAdded, edits) {
+  const lastKept = kept[kept.length - 1];
+  const tailFrom = entries.indexOf(lastKept) + 1;
+  for (const e of entries.slice(0, tailFrom)) {
+    // Followed by a kept entry, so it has a comma: drop its whole line
+    if (!kept.includes(e)) edits.push({ start: lineStart(text, e.start), end: lineRestEnd(text, e.commaEnd), text: "" });
+  }
+
+  // Removed entries after the last kept one: their lines
+  const tail = entries.slice(tailFrom);
+  if (tail.length > 0) {
+    const last = tail[tail.length - 1];
+    edits.push({ start: lineStart(text, tail[0].start), end: lineRestEnd(text, last.commaEnd ?? last.value.end), text: "" });
+  }
+
+  // The last kept entry needs a comma if entries follow it or the file
+  // uses trailing commas; added entries go on their own lines after it
+  // (and after its // comment)
+  const trailingCommas = entries[entries.length - 1].commaEnd !== null;
+  const added = renderAdded(lineIndent(text, lastKept.start));
+  const hasComma = lastKept.commaEnd !== null;
+  const needsComma = added.length > 0 || trailingCommas;
+  if (hasComma && !needsComma) edits.push({ start: lastKept.commaEnd - 1, end: lastKept.commaEnd, text: "" });
+  if (added.length === 0) return;
+
+  const body = added.join(",\n") + (trailingCommas ? "," : "");
+  const after = lastKept.commaEnd ?? lastKept.value.end;
+  const lineEnd = lineRestEnd(text, after);
+  if (lineEnd > after) {
+    if (!hasComma) edits.push({ start: after, end: after, text: "," });
+    edits.push({ start: lineEnd, end: lineEnd, text: body + "\n" });
+  } else {
+    // Something else follows on the same line, e.g. a one-line object
+    edits.push({ start: after, end: after, text: `${hasComma ? "" : ","}\n${body}` });
+  }
+}
+
+// Single-line values are rewritten whole, and stay on one line
+function isMultiline(text, node) {
+  return text.slice(node.start, node.end).includes("\n");
+}
+
+// { "a": 1, "b": [ 2 ] } — newlines inside strings are escaped, so only
+// the layout's line breaks are folded
+function oneLine(value) {
+  return JSON.stringify(value, null, 1).replace(/\n\s*/g, " ");
+}
+
+// JSON for a value whose first line continues after "key": at indent
+function render(value, indent, unit) {
+  return JSON.stringify(value, null, unit).split("\n").join(`\n${indent}`);
+}
+
+// Indentation of the line holding pos
+function lineIndent(text, pos) {
+  const start = text.lastIndexOf("\n", pos - 1) + 1;
+  return /^[ \t]*/.exec(text.slice(start, pos))[0];
+}
+
+// Start of pos's line if only whitespace precedes it there, else pos
+function lineStart(text, pos) {
+  const start = text.lastIndexOf("\n", pos - 1) + 1;
+  return /^[ \t]*$/.test(text.slice(start, pos)) ? start : pos;
+}
+
+// Past the line break after pos if only whitespace and comments (// or
+// a one-line /* */) follow it, else pos
+function lineRestEnd(text, pos) {
+  const m = /^[ \t]*(?:\/\*(?:[^*\n]|\*(?!\/))*\*\/[ \t]*)*(\/\/[^\n]*)?\r?\n/.exec(text.slice(pos));
+  return m ? pos + m[0].length : pos;
+}
+
+// Indent unit of the file: the first indented line's leading whitespace
+function detectIndent(text) {
+  const m = /\n([ \t]+)\S/.exec(text);
+  return m ? m[1] : "  ";
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  return ka.length === kb.length && ka.every((k) => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+module.exports = {
+  parseJsonc,
+  applyChanges,
+};
@@ -0,0 +1,150 @@
+// metrics.cjs — Prometheus textfile export of running sessions
+// With metrics.enabled, the status line bridge writes the numbers of
+// every active session (updated within gc's MIN_IDLE_MS) to
+//
+//   <metrics.dir>/claude-context.prom   (default ~/.claude/context-hooks/metrics)
+//
+// for node_exporter's textfile collector (--collector.textfile.directory)
+// or any other local scraper. Per session: gauges for used percent,
+// tokens, window, input/output tokens, cost, tool calls, turns and last
+// update; counters for compactions and threshold crossings. Labels are
+// session_id, model and project (the basename of the session's cwd).
+//
+// metrics.format picks the Prometheus text format (0.0.4) or OpenMetrics
+// 1.0 (counter families without "_total", "# EOF" terminator). The file
+// is replaced atomically (context-lib/atomic.cjs) — the collector never
+// reads a partial file and ignores the temp file's suffix — at most once
+// per metrics.intervalSeconds, and right away when a session ends so its
+// series disappear. Nothing is sent anywhere.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { STATE_DIR } = require("./session-files.cjs");
+const { writeFileAtomic } = require("./atomic.cjs");
+const { listSessions } = require("./sessions.cjs");
+const { MIN_IDLE_MS } = require("./gc.cjs");
+
+const METRICS_FILE = "claude-context.prom";
+
+const FORMATS = ["prometheus", "openmetrics"];
+
+// [name, type, help, value of a session row]; counters get "_total" on
+// their samples. Threshold crossings are one series per tier.
+const FAMILIES = [
+  ["claude_context_used_percent", "gauge", "Context window used, in percent.", (r) => r.used_pct],
+  ["claude_context_used_tokens", "gauge", "Tokens in the context window.", (r) => r.used_tokens],
+  ["claude_context_window_tokens", "gauge", "Context window size in tokens.", (r) => r.window_size],
+  ["claude_context_input_tokens", "gauge", "Input tokens of the session so far.", (r) => r.input_tokens],
+  ["claude_context_output_tokens", "gauge", "Output tokens of the session so far.", (r) => r.output_tokens],
+  ["claude_context_cost_usd", "gauge", "Cost of the session so far, in USD.", (r) => r.cost_usd],
+  ["claude_context_tool_calls", "gauge", "Tool calls in the session so far.", (r) => r.tool_calls],
+  ["claude_context_turns", "gauge", "User prompts in the session so far.", (r) => r.turn],
+  [
+    "claude_context_last_update_timestamp_seconds",
+    "gauge",
+    "When the session's status line last reported, as a Unix timestamp.",
+    (r) => Date.parse(r.updated) / 1000,
+  ],
+  ["claude_context_compactions", "counter", "Compactions of the session so far.", (r) => r.compactions],
+  [
+    "claude_context_threshold_crossings",
+    "counter",
+    "Times the session's usage rose past a threshold.",
+    (r) => ["moderate", "warning", "critical"].map((tier) => [{ tier }, r.crossings[tier] || 0]),
+  ],
+];
+
+/**
+ * Path of the metrics file for config.metrics.dir ("" = the default).
+ * @param {{dir: string}} metrics  config.metrics
+ */
+function metricsFile(metrics) {
+  let dir = metrics.dir || path.join(STATE_DIR, "metrics");
+  if (dir === "~" || dir.startsWith("~/") || dir.startsWith("~\\")) dir = path.join(os.homedir(), dir.slice(1));
+  return path.join(path.resolve(dir), METRICS_FILE);
+}
+
+/**
+ * Exposition text for session rows from context-lib/sessions.cjs listSessions().
+ * @param {object[]} rows
+ * @param {"prometheus"|"openmetrics"} format
+ * @returns {string}
+ */
+function renderMetrics(rows, format) {
+  const openMetrics = format === "openmetrics";
+  const sessions = [...rows].sort((a, b) => a.session_id.localeCompare(b.session_id));
+  const lines = [];
+
+  const family = (name, type, help) => {
+    const meta = type === "counter" && !openMetrics ? `${name}_total` : name;
+    lines.push(`# HELP ${meta} ${help}`, `# TYPE ${meta} ${type}`);
+  };
+  family("claude_context_sessions", "gauge", "Sessions that reported in the last hour.");
+  lines.push(`claude_context_sessions ${sessions.length}`);
+
+  for (const [name, type, help, value] of FAMILIES) {
+    family(name, type, help);
+    const sample = type === "counter" ? `${name}_total` : name;
+    for (const r of sessions) {
+      const labels = { session_id: r.session_id, model: r.model_id || r.model, project: r.cwd ? path.basename(r.cwd) : "" };
+      const v = value(r);
+      const series = Array.isArray(v) ? v : [[{}, v]];
+      for (const [extra, n] of series) lines.push(`${sample}${labelSet({ ...labels, ...extra })} ${number(n)}`);
+    }
+  }
+
+  if (openMetrics) lines.push("# EOF");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Write the metrics file if metrics.intervalSeconds have passed since the
+ * last write (or force). Best-effort: returns the file written, else null.
+ * @param {{metrics: {dir: string, format: string, intervalSeconds: number}}} config
+ * @param {{force?: boolean, now?: number}} [opts]
+ */
+function exportMetrics(config, opts = {}) {
+  const { force = false, now = Date.now() } = opts;
+  const file = metricsFile(config.metrics);
+  if (!force) {
+    try {
+      if (now - fs.statSync(file).mtimeMs < config.metrics.intervalSeconds * 1000) return null;
+    } catch {
+      // Not written yet
+    }
+  }
+
+  try {
+    const rows = listSessions({ maxAgeMs: MIN_IDLE_MS, now });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeFileAtomic(file, renderMetrics(rows, config.metrics.format));
+    return file;
+  } catch {
+    return null; // Non-fatal — the collector keeps the previous sample
+  }
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+
+// {a="x",b="y"} with \, " and newlines escaped
+function labelSet(labels) {
+  const esc = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${Object.entries(labels).map(([k, v]) => `${k}="${esc(v)}"`).join(",")}}`;
+}
+
+function number(n) {
+  return Number.isFinite(n) ? String(n) : "0";
+}
+
+module.exports = {
+  METRICS_FILE,
+  FORMATS,
+  metricsFile,
+  renderMetrics,
+  exportMetrics,
+};
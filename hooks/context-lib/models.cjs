@@ -0,0 +1,166 @@
+// models.cjs — Model detection, context windows and per-model injection policy
+// Sonnet and Haiku already receive native <system_warning> usage tags, so
+// users may want these hooks silent (or quieter) for them. The policy is
+// configured in context-hooks.json:
+//
+//   "modelPolicy": { "allow": [], "deny": ["haiku"], "quiet": ["sonnet"] }
+//
+// Patterns are case-insensitive substrings of the model id or display
+// name. allow (when non-empty) lists the only models that get injection;
+// deny turns injection off; quiet only injects warning/critical tiers.
+//
+// Context windows: the StatusLine payload usually reports the window
+// size, but not always, and never the usable part of it — Claude Code
+// auto-compacts before the window is full. MODEL_WINDOWS knows the window
+// and usable ceiling per model (1M-token variants included); entries in
+//
+//   "modelWindows": { "opus-4-6[1m]": { "window": 1000000, "usable": 950000 } }
+//
+// override both, matched like the policy patterns.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const { sessionFile } = require("./session-files.cjs");
+
+// Window when neither payload, config nor registry says otherwise
+const DEFAULT_WINDOW = 200000;
+
+// Tokens Claude Code keeps free for auto-compaction; usable = window - this
+// unless a registry or config entry names its own ceiling
+const AUTOCOMPACT_BUFFER = 45000;
+
+// Known windows, most specific first; patterns match like modelPolicy's
+const MODEL_WINDOWS = [
+  { match: ["[1m]", "1m context", "(1m)"], window: 1000000, usable: 1000000 - AUTOCOMPACT_BUFFER },
+  { match: ["claude", "opus", "sonnet", "haiku"], window: DEFAULT_WINDOW, usable: DEFAULT_WINDOW - AUTOCOMPACT_BUFFER },
+];
+
+/**
+ * Best-effort model of a session: hook payload first, then the session's
+ * own bridge file. Never another session's — concurrent sessions must not
+ * affect each other — so a session's first prompt may get null.
+ * @param {object} hookData
+ * @returns {{id: string, name: string}|null}
+ */
+function detectModel(hookData) {
+  const m = hookData && hookData.model;
+  if (typeof m === "string" && m) return { id: m, name: m };
+  if (m && (m.id || m.display_name)) return { id: m.id || "", name: m.display_name || "" };
+
+  const bridge = hookData && hookData.session_id && readBridge(sessionFile("bridge", hookData.session_id));
+  return bridge ? modelFromBridge(bridge) : null;
+}
+
+/** Model recorded in a bridge snapshot. */
+function modelFromBridge(bridge) {
+  return { id: bridge.model_id || "", name: bridge.model || "" };
+}
+
+/**
+ * Injection policy for a model.
+ * @param {{allow: string[], deny: string[], quiet: string[]}} policy
+ * @param {{id: string, name: string}|null} model  null = unknown → full
+ * @returns {"full"|"quiet"|"off"}
+ */
+function modelPolicy(policy, model) {
+  if (!model) return "full";
+  const hay = `${model.id} ${model.name}`.toLowerCase();
+  const matches = (list) => list.some((p) => hay.includes(p.toLowerCase()));
+
+  if (policy.allow.length > 0 && !matches(policy.allow)) return "off";
+  if (matches(policy.deny)) return "off";
+  if (matches(policy.quiet)) return "quiet";
+  return "full";
+}
+
+/**
+ * Context window and usable ceiling of a model. A modelWindows entry
+ * wins, then the window the payload reported, then MODEL_WINDOWS, then
+ * DEFAULT_WINDOW.
+ * @param {{id: string, name: string}|null} model
+ * @param {number} [reportedWindow]  context_window_size from the payload
+ * @param {Object<string, {window: number, usable?: number}>} [overrides]  config.modelWindows
+ * @returns {{window: number, usable: number, source: "config"|"payload"|"registry"|"default"}}
+ */
+function contextWindow(model, reportedWindow, overrides = {}) {
+  const hay = model ? `${model.id} ${model.name}`.toLowerCase() : "";
+  if (hay.trim()) {
+    for (const [pattern, entry] of Object.entries(overrides)) {
+      if (hay.includes(pattern.toLowerCase())) {
+        return { window: entry.window, usable: entry.usable ?? usableOf(entry.window), source: "config" };
+      }
+    }
+  }
+
+  const known = hay.trim() ? MODEL_WINDOWS.find((e) => e.match.some((p) => hay.includes(p))) : null;
+  if (reportedWindow > 0) {
+    // The payload knows the window; the registry only adds the ceiling
+    const usable = known && known.window === reportedWindow ? known.usable : usableOf(reportedWindow);
+    return { window: reportedWindow, usable, source: "payload" };
+  }
+  if (known) return { window: known.window, usable: known.usable, source: "registry" };
+  return { window: DEFAULT_WINDOW, usable: usableOf(DEFAULT_WINDOW), source: "default" };
+}
+
+/**
+ * Usage from a StatusLine payload, sized by contextWindow(). The
+ * payload's percentages are used as is unless the window was corrected
+ * (config override, or no size reported); then the percentage is
+ * recomputed from current_usage, or from the reported percentage.
+ * @param {object} data  StatusLine payload
+ * @param {object} [overrides]  config.modelWindows
+ * @returns {{used_pct: number, remaining_pct: number, used_tokens: number,
+ *   window_size: number, usable_tokens: number}}
+ */
+function payloadUsage(data, overrides) {
+  const ctx = data.context_window || {};
+  const m = data.model || {};
+  const model = m.id || m.display_name ? { id: m.id || "", name: m.display_name || "" } : null;
+  const reported = ctx.context_window_size;
+  const win = contextWindow(model, reported, overrides);
+
+  let usedPct = ctx.used_percentage ?? 0;
+  let remainingPct = ctx.remaining_percentage ?? 100 - usedPct;
+  if (win.window !== reported) {
+    const cu = ctx.current_usage;
+    const tokens =
+      cu && typeof cu === "object"
+        ? (cu.input_tokens || 0) + (cu.cache_creation_input_tokens || 0) + (cu.cache_read_input_tokens || 0)
+        : (usedPct / 100) * (reported || DEFAULT_WINDOW);
+    usedPct = Math.min(100, (tokens / win.window) * 100);
+    remainingPct = 100 - usedPct;
+  }
+  return {
+    used_pct: usedPct,
+    remaining_pct: remainingPct,
+    used_tokens: Math.round((usedPct / 100) * win.window),
+    window_size: win.window,
+    usable_tokens: win.usable,
+  };
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+function usableOf(window) {
+  return Math.max(0, window - AUTOCOMPACT_BUFFER);
+}
+
+function readBridge(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_WINDOW,
+  MODEL_WINDOWS,
+  contextWindow,
+  payloadUsage,
+  detectModel,
+  modelFromBridge,
+  modelPolicy,
+};
@@ -0,0 +1,91 @@
+// session-files.cjs — Paths of the per-session temp and state files
+// Every file is namespaced by session_id so concurrent sessions never
+// collide. Hooks, cleanup and the installer all derive paths from here.
+//
+// Temp files live in os.tmpdir() and are removed on SessionEnd. Data that
+// must outlive the process (e.g. the PreCompact handoff, needed again on
+// resume) lives under ~/.claude/context-hooks/sessions/{session_id}/.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { incrementFile } = require("./atomic.cjs");
+
+// kind → [prefix, suffix]; the session_id goes in between
+const SESSION_FILES = {
+  bridge: ["claude-context-usage-", ".json"],
+  counter: ["claude-tool-counter-", ""],
+  toolState: ["claude-tool-state-", ".json"],
+  turnCounter: ["claude-turn-counter-", ""],
+  history: ["claude-context-history-", ".jsonl"],
+  attribution: ["claude-tool-usage-", ".json"],
+  budgetState: ["claude-budget-state-", ".json"],
+};
+
+/**
+ * Absolute path of one per-session temp file.
+ * @param {keyof SESSION_FILES} kind
+ * @param {string} sessionId
+ */
+function sessionFile(kind, sessionId) {
+  const [prefix, suffix] = SESSION_FILES[kind];
+  return path.join(os.tmpdir(), `${prefix}${sessionId}${suffix}`);
+}
+
+// Durable data written by the hooks
+const STATE_DIR = path.join(os.homedir(), ".claude", "context-hooks");
+
+/** Directory for one session's durable state (not created here). */
+function sessionStateDir(sessionId) {
+  return path.join(STATE_DIR, "sessions", sessionId);
+}
+
+/**
+ * Current value of a numeric counter file (0 when missing).
+ * @param {"counter"|"turnCounter"} kind
+ * @param {string} sessionId
+ */
+function readCounter(kind, sessionId) {
+  try {
+    return parseInt(fs.readFileSync(sessionFile(kind, sessionId), "utf8"), 10) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Add 1 to a counter file and return the new value. Lock-safe: parallel
+ * tool calls each get their own number (see context-lib/atomic.cjs), and
+ * null if the counter stayed locked — that call is not counted.
+ * @param {"counter"|"turnCounter"} kind
+ * @param {string} sessionId
+ * @returns {number|null}
+ */
+function incrementCounter(kind, sessionId) {
+  return incrementFile(sessionFile(kind, sessionId));
+}
+
+/** All temp file paths belonging to one session. */
+function allSessionFiles(sessionId) {
+  return Object.keys(SESSION_FILES).map((kind) => sessionFile(kind, sessionId));
+}
+
+/** Filename prefixes of every per-session temp file. */
+function sessionFilePrefixes() {
+  return Object.values(SESSION_FILES).map(([prefix]) => prefix);
+}
+
+module.exports = {
+  SESSION_FILES,
+  STATE_DIR,
+  sessionFile,
+  sessionStateDir,
+  readCounter,
+  incrementCounter,
+  allSessionFiles,
+  sessionFilePrefixes,
+};
@@ -0,0 +1,99 @@
+// sessions.cjs — Usage of every session on this machine, for the dashboard
+// Each running session keeps its latest numbers in its bridge file
+// ({tmpdir}/claude-context-usage-{session_id}.json), next to its tool-call
+// counter and usage history. `node setup.js --sessions` lists them all so
+// concurrent sessions can be watched from outside Claude Code.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SESSION_FILES, readCounter } = require("./session-files.cjs");
+const { readHistory, burnRate, stepsUntil } = require("./history.cjs");
+const { DEFAULT_WINDOW } = require("./models.cjs");
+
+const SORT_KEYS = {
+  pct: (a, b) => b.used_pct - a.used_pct,
+  cost: (a, b) => b.cost_usd - a.cost_usd,
+  tools: (a, b) => b.tool_calls - a.tool_calls,
+  age: (a, b) => a.age_ms - b.age_ms,
+};
+
+/**
+ * One row per session with a bridge file updated within maxAgeMs.
+ * @param {{maxAgeMs?: number, sort?: keyof SORT_KEYS, targetPct?: number,
+ *   windowTurns?: number, now?: number}} [opts]
+ *   targetPct: usage that counts as "the wall" for turns_left
+ * @returns {{session_id: string, model: string, model_id: string, cwd: string,
+ *   used_pct: number, used_tokens: number, window_size: number, input_tokens: number,
+ *   output_tokens: number, cost_usd: number, tool_calls: number, turn: number,
+ *   per_turn: number|null, turns_left: number|null, compactions: number,
+ *   crossings: {moderate: number, warning: number, critical: number},
+ *   updated: string, age_ms: number}[]}
+ */
+function listSessions(opts = {}) {
+  const { maxAgeMs = Infinity, sort = "pct", targetPct = 80, windowTurns = 5, now = Date.now() } = opts;
+  const [prefix, suffix] = SESSION_FILES.bridge;
+  const tmp = os.tmpdir();
+
+  let names = [];
+  try {
+    names = fs.readdirSync(tmp);
+  } catch {
+    return []; // tmpdir unreadable — nothing to show
+  }
+
+  const rows = [];
+  for (const name of names) {
+    if (!name.startsWith(prefix) || !name.endsWith(suffix)) continue;
+    const sessionId = name.slice(prefix.length, name.length - suffix.length);
+    if (!sessionId) continue;
+
+    let bridge;
+    let mtime;
+    try {
+      const file = path.join(tmp, name);
+      mtime = fs.statSync(file).mtimeMs;
+      bridge = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      continue; // Removed mid-scan or torn write — shown on the next refresh
+    }
+    const updated = Date.parse(bridge.timestamp) || mtime;
+    if (now - updated > maxAgeMs) continue;
+
+    const usedPct = bridge.used_pct ?? 0;
+    const windowSize = bridge.window_size ?? DEFAULT_WINDOW;
+    const usedTokens = Math.round((usedPct / 100) * windowSize);
+    const { perTurn } = burnRate(readHistory(sessionId), windowTurns);
+    rows.push({
+      session_id: sessionId,
+      model: bridge.model || "Claude",
+      model_id: bridge.model_id || "",
+      cwd: bridge.cwd || "",
+      used_pct: usedPct,
+      used_tokens: usedTokens,
+      window_size: windowSize,
+      input_tokens: bridge.input_tokens ?? 0,
+      output_tokens: bridge.output_tokens ?? 0,
+      cost_usd: bridge.cost_usd || 0,
+      tool_calls: readCounter("counter", sessionId),
+      turn: readCounter("turnCounter", sessionId) || bridge.turn || 0,
+      per_turn: perTurn === null ? null : Math.round(perTurn),
+      turns_left: stepsUntil(usedTokens, windowSize, targetPct, perTurn),
+      compactions: bridge.compactions || 0,
+      crossings: { moderate: 0, warning: 0, critical: 0, ...bridge.crossings },
+      updated: new Date(updated).toISOString(),
+      age_ms: Math.max(0, now - updated),
+    });
+  }
+
+  return rows.sort(SORT_KEYS[sort] || SORT_KEYS.pct);
+}
+
+module.exports = {
+  SORT_KEYS,
+  listSessions,
+};
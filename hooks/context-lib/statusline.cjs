@@ -0,0 +1,215 @@
+// statusline.cjs — Template-driven status line rendering
+// statusLine.template lists the segments to show, e.g.
+//
+//   "{dir} | {model} | {branch}{dirty} | ctx {pct}% ({tokens_used}/{window}) | {burn} | ${cost}"
+//
+// " | " separates groups; a group whose placeholders all render empty
+// (no git repo, no burn rate yet, ...) is dropped with its separator.
+// Literal text and most values are drawn in the theme's text color;
+// {pct} (and a "%" right after it) and {bar} take the usage tier color.
+//
+// Colors: statusLine.colors "auto" uses truecolor when $COLORTERM says
+// so and the xterm 256-color palette otherwise. NO_COLOR (any non-empty
+// value, https://no-color.org) turns all escape codes off.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const path = require("path");
+const { readCounter } = require("./session-files.cjs");
+const { readHistory, burnRate, formatTokens } = require("./history.cjs");
+const { payloadUsage } = require("./models.cjs");
+
+// Theme palettes as RGB; tier colors apply to {pct} and {bar}
+const THEMES = {
+  default: { text: [188, 188, 188], ok: [100, 230, 100], warning: [255, 230, 50], critical: [255, 80, 50] },
+  nord: { text: [216, 222, 233], ok: [163, 190, 140], warning: [235, 203, 139], critical: [191, 97, 106] },
+  solarized: { text: [147, 161, 161], ok: [133, 153, 0], warning: [181, 137, 0], critical: [220, 50, 47] },
+  mono: { text: [188, 188, 188], ok: [188, 188, 188], warning: [238, 238, 238], critical: [255, 255, 255] },
+};
+
+const DIM = "\x1b[2m";
+const BOLD = "\x1b[1m";
+const RST = "\x1b[0m";
+
+// Placeholder → value. Each receives the render context and returns a
+// string ("" = nothing to show). Evaluated only if the template uses it.
+const SEGMENTS = {
+  dir: (c) => (c.data.cwd ? path.basename(c.data.cwd) : ""),
+  model: (c) => (c.data.model && c.data.model.display_name) || "Claude",
+  branch: (c) => {
+    const g = c.git();
+    if (!g) return "";
+    return g.detached ? `(${g.branch})` : g.branch;
+  },
+  dirty: (c) => (c.git() && c.git().dirty > 0 ? "*" : ""),
+  untracked: (c) => (c.git() && c.git().untracked > 0 ? `?${c.git().untracked}` : ""),
+  ahead_behind: (c) => {
+    const g = c.git();
+    if (!g) return "";
+    return `${g.ahead ? `↑${g.ahead}` : ""}${g.behind ? `↓${g.behind}` : ""}`;
+  },
+  worktree: (c) => (c.git() && c.git().worktree ? `wt:${c.git().worktree}` : ""),
+  pct: (c) => String(Math.round(c.usedPct)),
+  free: (c) => String(Math.round(c.usage.remaining_pct)),
+  tokens_used: (c) => formatTokens(c.usage.used_tokens),
+  window: (c) => formatTokens(c.usage.window_size),
+  usable: (c) => formatTokens(c.usage.usable_tokens),
+  until_compact: (c) => formatTokens(Math.max(0, c.usage.usable_tokens - c.usage.used_tokens)),
+  bar: (c) => progressBar(c.usedPct, c.config.statusLine.barWidth),
+  burn: (c) => {
+    if (!c.sessionId || !c.config.history.enabled) return "";
+    const { perTurn } = burnRate(readHistory(c.sessionId), c.config.history.windowTurns);
+    return perTurn ? `~${formatTokens(perTurn)}/turn` : "";
+  },
+  duration: (c) => formatDuration(c.data.cost && c.data.cost.total_duration_ms),
+  cost: (c) => c.cost.toFixed(2),
+  cost_delta: (c) => {
+    if (!c.bridge || typeof c.bridge.turn_start_cost !== "number") return "";
+    return `+$${Math.max(0, c.cost - c.bridge.turn_start_cost).toFixed(2)}`;
+  },
+  tools: (c) => (c.sessionId ? String(readCounter("counter", c.sessionId)) : ""),
+  turn: (c) => (c.sessionId ? String(readCounter("turnCounter", c.sessionId)) : ""),
+};
+
+/**
+ * Render the status line for a StatusLine payload.
+ * @param {object} data  StatusLine payload
+ * @param {object|null} bridge  the bridge record just written (null without session_id)
+ * @param {object} config
+ * @param {{git?: () => object|null, env?: object}} [opts]  git: see context-lib/git-info.cjs
+ * @returns {string}
+ */
+function renderStatusLine(data, bridge, config, opts = {}) {
+  const sl = config.statusLine;
+  const usage = payloadUsage(data, config.modelWindows);
+  const usedPct = usage.used_pct;
+  const mode = colorMode(sl.colors, opts.env || process.env);
+  const theme = THEMES[sl.theme];
+
+  let gitInfo; // undefined until a git segment asks
+  const c = {
+    data,
+    usage,
+    bridge,
+    config,
+    sessionId: data.session_id || "",
+    usedPct,
+    cost: (data.cost && data.cost.total_cost_usd) || 0,
+    git: () => (gitInfo === undefined ? (gitInfo = opts.git ? opts.git() : null) : gitInfo),
+  };
+
+  const tier = usedPct >= sl.criticalAt ? "critical" : usedPct >= sl.warnAt ? "warning" : "ok";
+  const text = (s) => (s ? paint(s, `${fg(theme.text, mode)}${DIM}`, mode) : "");
+  const accent = (s, bold) => paint(s, `${fg(theme[tier], mode)}${bold ? BOLD : ""}`, mode);
+
+  const groups = [];
+  for (const group of sl.template.split(/\s+\|\s+/)) {
+    let out = "";
+    let plain = ""; // run of text-colored output, painted in one go
+    let placeholders = 0;
+    let filled = 0;
+    const pieces = group.split(/(\{\w+\})/);
+    for (let i = 0; i < pieces.length; i++) {
+      const piece = pieces[i];
+      const name = /^\{(\w+)\}$/.exec(piece);
+      if (!name || !SEGMENTS[name[1]]) {
+        plain += piece;
+        continue;
+      }
+      placeholders++;
+      const value = SEGMENTS[name[1]](c);
+      if (value) filled++;
+      if (name[1] === "pct") {
+        // A "%" right after {pct} belongs to the number
+        const next = pieces[i + 1] || "";
+        const pct = next.startsWith("%") ? `${value}%` : value;
+        if (next.startsWith("%")) pieces[i + 1] = next.slice(1);
+        out += text(plain) + accent(pct, true);
+        plain = "";
+      } else if (name[1] === "bar") {
+        out += text(plain) + accent(value, false);
+        plain = "";
+      } else {
+        plain += value;
+      }
+    }
+    if (placeholders > 0 && filled === 0) continue;
+    groups.push(out + text(plain.replace(/\s+$/, ""))); // e.g. " {worktree}" when empty
+  }
+
+  return groups.join(text(" | "));
+}
+
+/**
+ * Combine our status line with a chained one's output.
+ * @param {string} ours
+ * @param {string} theirs  "" when the chained command printed nothing
+ * @param {"left"|"right"|"above"|"below"} placement  where ours goes
+ * @param {object} config
+ * @param {object} [env]
+ */
+function composeStatusLine(ours, theirs, placement, config, env = process.env) {
+  if (!theirs) return ours;
+  if (placement === "above") return `${ours}\n${theirs}`;
+  if (placement === "below") return `${theirs}\n${ours}`;
+  const mode = colorMode(config.statusLine.colors, env);
+  const sep = paint(" | ", `${fg(THEMES[config.statusLine.theme].text, mode)}${DIM}`, mode);
+  return placement === "left" ? `${ours}${sep}${theirs}` : `${theirs}${sep}${ours}`;
+}
+
+/**
+ * Effective color mode.
+ * @param {"auto"|"truecolor"|"256"|"none"} setting
+ * @param {object} env
+ * @returns {"truecolor"|"256"|"none"}
+ */
+function colorMode(setting, env) {
+  if (env.NO_COLOR) return "none";
+  if (setting !== "auto") return setting;
+  return /^(truecolor|24bit)$/i.test(env.COLORTERM || "") ? "truecolor" : "256";
+}
+
+/** Nearest xterm-256 palette index for an RGB color. */
+function ansi256([r, g, b]) {
+  if (r === g && g === b) {
+    if (r < 8) return 16;
+    if (r > 248) return 231;
+    return 232 + Math.min(23, Math.round((r - 8) / 10));
+  }
+  const q = (v) => Math.round((v / 255) * 5);
+  return 16 + 36 * q(r) + 6 * q(g) + q(b);
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+function fg(rgb, mode) {
+  if (mode === "truecolor") return `\x1b[38;2;${rgb[0]};${rgb[1]};${rgb[2]}m`;
+  if (mode === "256") return `\x1b[38;5;${ansi256(rgb)}m`;
+  return "";
+}
+
+function paint(s, style, mode) {
+  return mode === "none" || !s ? s : `${style}${s}${RST}`;
+}
+
+function progressBar(pct, width) {
+  const filled = Math.max(0, Math.min(width, Math.round((pct / 100) * width)));
+  return "█".repeat(filled) + "░".repeat(width - filled);
+}
+
+function formatDuration(ms) {
+  if (!ms || ms < 0) return "";
+  const min = Math.floor(ms / 60000);
+  if (min < 60) return `${min}m`;
+  return `${Math.floor(min / 60)}h${String(min % 60).padStart(2, "0")}m`;
+}
+
+module.exports = {
+  THEMES,
+  SEGMENTS,
+  renderStatusLine,
+  composeStatusLine,
+  colorMode,
+  ansi256,
+};
@@ -0,0 +1,119 @@
+// transcript.cjs — Best-effort reader for Claude Code session transcripts
+// Hook payloads carry transcript_path, a JSONL file with one entry per
+// message. Only the tail is read so large sessions stay fast.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+
+const TAIL_BYTES = 2 * 1024 * 1024;
+
+// Tools whose input names a file the model touched
+const FILE_TOOLS = ["Read", "Edit", "MultiEdit", "Write", "NotebookEdit"];
+
+/**
+ * Parsed entries from the last maxBytes of a transcript (oldest first).
+ * Returns [] when the file is missing or unreadable.
+ * @param {string} transcriptPath
+ * @param {number} [maxBytes]
+ */
+function readTranscriptTail(transcriptPath, maxBytes = TAIL_BYTES) {
+  if (!transcriptPath) return [];
+
+  let text;
+  try {
+    const fd = fs.openSync(transcriptPath, "r");
+    try {
+      const size = fs.fstatSync(fd).size;
+      const start = Math.max(0, size - maxBytes);
+      const buf = Buffer.alloc(size - start);
+      fs.readSync(fd, buf, 0, buf.length, start);
+      text = buf.toString("utf8");
+      // Drop the partial first line when starting mid-file
+      if (start > 0) text = text.slice(text.indexOf("\n") + 1);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Partially written line — skip
+    }
+  }
+  return entries;
+}
+
+/**
+ * Tool-use blocks from assistant messages, oldest first.
+ * @returns {{name: string, input: object}[]}
+ */
+function toolUses(entries) {
+  const out = [];
+  for (const e of entries) {
+    const content = e && e.message && e.message.content;
+    if (!e || e.type !== "assistant" || !Array.isArray(content)) continue;
+    for (const block of content) {
+      if (block && block.type === "tool_use") {
+        out.push({ name: block.name, input: block.input || {} });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Most recently touched files (newest first, unique).
+ * @param {object[]} entries  from readTranscriptTail
+ * @param {number} limit
+ */
+function recentFiles(entries, limit) {
+  const seen = new Set();
+  const uses = toolUses(entries);
+  for (let i = uses.length - 1; i >= 0 && seen.size < limit; i--) {
+    const { name, input } = uses[i];
+    if (!FILE_TOOLS.includes(name)) continue;
+    const file = input.file_path || input.notebook_path;
+    if (typeof file === "string" && file) seen.add(file);
+  }
+  return [...seen];
+}
+
+/**
+ * Context occupied as of the newest main-conversation assistant message:
+ * its input (uncached + cache write + cache read) plus output tokens.
+ * Subagent (sidechain) messages have their own context and are skipped.
+ * @param {object[]} entries  from readTranscriptTail
+ * @returns {{tokens: number, input: number, output: number, timestamp: string}|null}
+ *   null when no message carries usage
+ */
+function latestUsage(entries) {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const e = entries[i];
+    const usage = e && e.type === "assistant" && !e.isSidechain && e.message && e.message.usage;
+    if (!usage) continue;
+    const input =
+      (usage.input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0) +
+      (usage.cache_read_input_tokens || 0);
+    const output = usage.output_tokens || 0;
+    if (input + output === 0) continue; // Synthetic message
+    return { tokens: input + output, input, output, timestamp: e.timestamp || "" };
+  }
+  return null;
+}
+
+module.exports = {
+  readTranscriptTail,
+  toolUses,
+  recentFiles,
+  latestUsage,
+};
@@ -0,0 +1,123 @@
+// usage.cjs — Current context usage for the injected messages
+// The bridge file is only as current as the last status line render. It
+// is missing before the first render and in non-interactive runs where
+// the status line never fires, and it goes stale when the status line
+// stops updating. So:
+//
+//   - a bridge file younger than freshness.staleSeconds is used as is;
+//   - otherwise, with freshness.transcriptFallback, usage is estimated
+//     from the hook payload's transcript_path (the newest assistant
+//     message's usage fields) — unless the transcript has nothing newer
+//     than the bridge, which then is still accurate (e.g. the user was
+//     away for a while);
+//   - a stale bridge without a usable transcript is still used, flagged.
+//
+// Without a reported window size (transcript estimates, old bridge
+// files) the window and usable ceiling come from the model registry in
+// context-lib/models.cjs.
+//
+// describeSource() labels the numbers in the messages; fresh bridge
+// data, the normal case, goes unlabeled.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+"use strict";
+
+const fs = require("fs");
+const { sessionFile } = require("./session-files.cjs");
+const { readTranscriptTail, latestUsage } = require("./transcript.cjs");
+const { detectModel, contextWindow } = require("./models.cjs");
+
+// The newest assistant message is at the very end of the transcript
+const TAIL_BYTES = 256 * 1024;
+
+/**
+ * Usage of a session and where it came from.
+ * @param {{session_id?: string, transcript_path?: string}} hookData
+ * @param {{freshness: {staleSeconds: number, transcriptFallback: boolean},
+ *   modelWindows: object}} config
+ * @param {number} [now]
+ * @returns {{used_pct: number, remaining_pct: number, window_size: number,
+ *   usable_tokens: number, input_tokens: number, output_tokens: number,
+ *   source: "bridge"|"transcript", stale: boolean, bridge_age_ms: number|null}|null}
+ *   null when nothing is known
+ */
+function currentUsage(hookData, config, now = Date.now()) {
+  const { freshness } = config;
+  let bridge = null;
+  let bridgeTime = 0;
+  try {
+    const file = sessionFile("bridge", hookData.session_id);
+    bridge = JSON.parse(fs.readFileSync(file, "utf8"));
+    bridgeTime = Date.parse(bridge.timestamp) || fs.statSync(file).mtimeMs;
+  } catch {
+    // Status line hasn't fired for this session
+  }
+  const ageMs = bridge ? Math.max(0, now - bridgeTime) : null;
+  // Reported by the bridge, or from the registry for the session's model
+  const win = contextWindow(detectModel(hookData), bridge ? bridge.window_size : undefined, config.modelWindows);
+  const fromBridge = (stale) => ({
+    used_pct: bridge.used_pct ?? 0,
+    remaining_pct: bridge.remaining_pct ?? 100 - (bridge.used_pct ?? 0),
+    window_size: win.window,
+    usable_tokens: bridge.usable_tokens ?? win.usable,
+    input_tokens: bridge.input_tokens ?? 0,
+    output_tokens: bridge.output_tokens ?? 0,
+    source: "bridge",
+    stale,
+    bridge_age_ms: ageMs,
+  });
+
+  if (bridge && ageMs <= freshness.staleSeconds * 1000) return fromBridge(false);
+
+  const est = freshness.transcriptFallback
+    ? latestUsage(readTranscriptTail(hookData.transcript_path, TAIL_BYTES))
+    : null;
+  if (est) {
+    const estTime = Date.parse(est.timestamp);
+    // Nothing happened since the last render — the bridge is still right
+    if (bridge && !Number.isNaN(estTime) && estTime <= bridgeTime) return fromBridge(false);
+
+    const usedPct = Math.min(100, (est.tokens / win.window) * 100);
+    return {
+      used_pct: usedPct,
+      remaining_pct: 100 - usedPct,
+      window_size: win.window,
+      usable_tokens: win.usable,
+      input_tokens: est.input,
+      output_tokens: est.output,
+      source: "transcript",
+      stale: false,
+      bridge_age_ms: ageMs,
+    };
+  }
+
+  return bridge ? fromBridge(true) : null;
+}
+
+/**
+ * Label for the numbers in an injected message, e.g.
+ * "estimated from transcript (no status line data yet)" — "" for fresh
+ * bridge data.
+ * @param {ReturnType<typeof currentUsage>} usage
+ */
+function describeSource(usage) {
+  const age = usage.bridge_age_ms === null ? null : formatAge(usage.bridge_age_ms);
+  if (usage.source === "transcript") {
+    return `estimated from transcript (${age === null ? "no status line data yet" : `status line data ${age} old`})`;
+  }
+  if (usage.stale) return `STALE — status line data ${age} old`;
+  return "";
+}
+
+// ── Internals ──────────────────────────────────────────────────────
+function formatAge(ms) {
+  if (ms >= 3600000) return `${Math.floor(ms / 3600000)}h`;
+  if (ms >= 60000) return `${Math.floor(ms / 60000)}m`;
+  return `${Math.floor(ms / 1000)}s`;
+}
+
+module.exports = {
+  currentUsage,
+  describeSource,
+};
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// context-pre-compact.cjs — PreCompact hook
+// Snapshots the session's working state just before Claude Code compacts
+// the conversation: last usage from the bridge file, tool-call counts,
+// recently touched files (from transcript_path) and the git branch.
+// context-session-start.cjs re-injects a summary after compaction.
+//
+// Record: ~/.claude/context-hooks/sessions/{session_id}/handoff.json
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+//
+// Cross-platform: works on Windows, macOS, and Linux/WSL2.
+"use strict";
+
+const fs = require("fs");
+const { loadConfig } = require("./context-lib/config.cjs");
+const { sessionFile, readCounter } = require("./context-lib/session-files.cjs");
+const { readAttribution } = require("./context-lib/attribution.cjs");
+const { readTranscriptTail, recentFiles } = require("./context-lib/transcript.cjs");
+const { readHandoff, writeHandoff } = require("./context-lib/handoff.cjs");
+
+let input = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", (chunk) => (input += chunk));
+process.stdin.on("end", () => {
+  let hookData = {};
+  try {
+    hookData = JSON.parse(input);
+  } catch {
+    process.exit(0);
+  }
+
+  const sessionId = hookData.session_id;
+  if (!sessionId) process.exit(0); // Can't namespace safely
+
+  const cwd = hookData.cwd || process.cwd();
+  const { config } = loadConfig({ cwd });
+  if (!config.handoff.enabled) process.exit(0);
+
+  // ── Last usage snapshot ──────────────────────────────────────────
+  let usage = null;
+  try {
+    usage = JSON.parse(fs.readFileSync(sessionFile("bridge", sessionId), "utf8"));
+  } catch {
+    // Status line never fired — the rest is still useful
+  }
+
+  // ── Tool-call counts ─────────────────────────────────────────────
+  const tools = {};
+  for (const [name, t] of Object.entries(readAttribution(sessionId).tools)) {
+    tools[name] = t.calls;
+  }
+
+  // ── Git branch (best-effort, silent fail) ────────────────────────
+  let branch = "";
+  try {
+    const { execSync } = require("child_process");
+    branch = execSync("git branch --show-current", {
+      cwd,
+      encoding: "utf8",
+      timeout: 2000,
+      stdio: ["pipe", "pipe", "pipe"],
+    }).trim();
+  } catch {
+    // Not a git repo or git not installed
+  }
+
+  const previous = readHandoff(sessionId);
+  writeHandoff(sessionId, {
+    session_id: sessionId,
+    created_at: new Date().toISOString(),
+    trigger: hookData.trigger || "manual",
+    cwd,
+    usage,
+    tool_calls: readCounter("counter", sessionId),
+    tools,
+    recent_files: recentFiles(
+      readTranscriptTail(hookData.transcript_path),
+      config.handoff.recentFiles
+    ),
+    git_branch: branch,
+    compactions: ((previous && previous.compactions) || 0) + 1,
+  });
+});
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// context-read-guard.cjs — PreToolUse hook (matcher "Read|Bash|Grep")
+// Stops a single tool call from flooding an already full context window.
+// Once the session's usage (context-lib/usage.cjs: fresh bridge data or a
+// transcript estimate — never stale data from before a compaction) is
+// readGuard.minUsedPct or more, inspects tool_input:
+//
+//   Read — estimated size of the lines that would be returned (file size,
+//          offset/limit, Read's 2000-line default) vs. readGuard.maxKb
+//   Bash — `cat`/`tac`/`nl` of files larger than maxKb, unless piped or
+//          redirected to a file (2>/dev/null and 2>&1 still count)
+//   Grep — output_mode "content" without head_limit (the default
+//          "files_with_matches" and "count" are cheap)
+//
+// and, per readGuard.mode, denies the call ("deny"), lets the user decide
+// ("ask"), or only tells the model ("warn") — always with a concrete
+// suggestion such as "use offset/limit, file is 180 KB".
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+//
+// Cross-platform: works on Windows, macOS, and Linux/WSL2.
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { loadConfig } = require("./context-lib/config.cjs");
+const { formatTokens } = require("./context-lib/history.cjs");
+const { detectModel, modelPolicy } = require("./context-lib/models.cjs");
+const { currentUsage } = require("./context-lib/usage.cjs");
+
+// Lines Read returns when no limit is given
+const READ_DEFAULT_LINES = 2000;
+
+// Bytes sampled to estimate the average line length
+const SAMPLE_BYTES = 64 * 1024;
+
+// Read renders these itself rather than as text — size says little
+const NON_TEXT = [".png", ".jpg", ".jpeg", ".gif", ".webp", ".pdf", ".ipynb"];
+
+// Commands that dump whole files to stdout
+const DUMP_COMMANDS = ["cat", "tac", "nl"];
+
+// Redirections that leave stdout in the tool result: duplicating a
+// descriptor (2>&1, >&2 — the tool returns stderr too) and stderr to a file
+const FD_REDIRECT_RE = /\d*>&\s*(\d+|-)/g;
+const STDERR_REDIRECT_RE = /\b2>>?\s*("[^"]*"|'[^']*'|[^\s;&|<>]+)/g;
+
+let input = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", (chunk) => (input += chunk));
+process.stdin.on("end", () => {
+  let hookData = {};
+  try {
+    hookData = JSON.parse(input);
+  } catch {
+    process.exit(0); // Can't parse — never block on our own failure
+  }
+
+  const sessionId = hookData.session_id;
+  if (!sessionId) process.exit(0);
+
+  const { config } = loadConfig({ cwd: hookData.cwd });
+  const guard = config.readGuard;
+  if (!guard.enabled) process.exit(0);
+
+  // Stale numbers may predate a compaction — never deny on those
+  const usage = currentUsage(hookData, config);
+  if (!usage || usage.stale) process.exit(0);
+  const pct = usage.used_pct;
+  if (pct < guard.minUsedPct) process.exit(0);
+  if (modelPolicy(config.modelPolicy, detectModel(hookData)) === "off") process.exit(0);
+
+  const free = {
+    pct: Math.round(usage.remaining_pct),
+    tokens: Math.round((usage.remaining_pct / 100) * usage.window_size),
+  };
+  const problem = checkCall(hookData, guard.maxKb * 1024, free);
+  if (!problem) process.exit(0);
+
+  const reason = `Context is ${Math.round(pct)}% full — ${problem}`;
+  const output = { hookSpecificOutput: { hookEventName: "PreToolUse" } };
+  if (guard.mode === "warn") {
+    output.hookSpecificOutput.additionalContext = `[Context guard] ${reason}`;
+  } else {
+    output.hookSpecificOutput.permissionDecision = guard.mode;
+    output.hookSpecificOutput.permissionDecisionReason = reason;
+  }
+  process.stdout.write(JSON.stringify(output));
+});
+
+/**
+ * What is wrong with this call, as a suggestion for the model, or null.
+ * @param {{tool_name?: string, tool_input?: object, cwd?: string}} hookData
+ * @param {number} maxBytes
+ * @param {{pct: number, tokens: number}} free
+ */
+function checkCall(hookData, maxBytes, free) {
+  const toolInput = hookData.tool_input || {};
+  const cwd = hookData.cwd || process.cwd();
+  const freeText = `${free.pct}% (~${formatTokens(free.tokens)} tokens) of context is free`;
+
+  switch (hookData.tool_name) {
+    case "Read": {
+      const est = estimateRead(toolInput, cwd);
+      if (!est || est.bytes <= maxBytes) return null;
+      return (
+        `use offset/limit, file is ${formatSize(est.size)} (~${est.lines} lines); ` +
+        `this read adds ~${formatSize(est.bytes)} (~${formatTokens(est.bytes / 4)} tokens) and ${freeText}. ` +
+        `Read a narrower range (e.g. limit: 200) or Grep for what you need first.`
+      );
+    }
+    case "Bash": {
+      const big = dumpedFiles(toolInput.command, cwd).filter((f) => f.size > maxBytes);
+      if (big.length === 0) return null;
+      const list = big.map((f) => `${path.basename(f.file)} is ${formatSize(f.size)}`).join(", ");
+      return (
+        `${list}; dumping it with ${big[0].command} adds ~${formatTokens(big.reduce((n, f) => n + f.size, 0) / 4)} tokens and ${freeText}. ` +
+        `Use Read with offset/limit, or head/tail/grep -n for the part you need.`
+      );
+    }
+    case "Grep": {
+      if (toolInput.head_limit || toolInput.output_mode !== "content") return null;
+      return (
+        `Grep in content mode without head_limit can return every matching line and ${freeText}. ` +
+        `Add head_limit (e.g. 50), narrow path/glob, or use output_mode "count" first.`
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Estimated bytes a Read call returns, or null if not applicable.
+ * @returns {{bytes: number, size: number, lines: number}|null}
+ */
+function estimateRead(toolInput, cwd) {
+  const file = toolInput.file_path;
+  if (typeof file !== "string" || !file) return null;
+  if (NON_TEXT.includes(path.extname(file).toLowerCase())) return null;
+
+  const abs = path.resolve(cwd, file);
+  let size;
+  try {
+    const st = fs.statSync(abs);
+    if (!st.isFile()) return null;
+    size = st.size;
+  } catch {
+    return null; // Missing — let Read report it
+  }
+
+  const avgLine = averageLineBytes(abs, size);
+  const totalLines = Math.max(1, Math.round(size / avgLine));
+  const offset = Number(toolInput.offset) > 0 ? Number(toolInput.offset) - 1 : 0;
+  const limit = Number(toolInput.limit) > 0 ? Number(toolInput.limit) : READ_DEFAULT_LINES;
+  const lines = Math.max(0, Math.min(limit, totalLines - offset));
+  return { bytes: Math.round(lines * avgLine), size, lines: totalLines };
+}
+
+function averageLineBytes(file, size) {
+  try {
+    const fd = fs.openSync(file, "r");
+    try {
+      const buf = Buffer.alloc(Math.min(size, SAMPLE_BYTES));
+      const n = fs.readSync(fd, buf, 0, buf.length, 0);
+      let newlines = 0;
+      for (let i = 0; i < n; i++) if (buf[i] === 10) newlines++;
+      return newlines > 0 ? n / newlines : Math.max(n, 1);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    return 80;
+  }
+}
+
+/**
+ * Files a shell command dumps to stdout in full: `cat a b` and friends,
+ * ignoring segments whose output is piped or redirected to a file.
+ * Redirections that leave stdout alone (`2>/dev/null`, `2>&1`) don't count.
+ * @returns {{file: string, size: number, command: string}[]}
+ */
+function dumpedFiles(command, cwd) {
+  if (typeof command !== "string") return [];
+  const out = [];
+  for (const raw of command.split(/&&|\|\||;|\n/)) {
+    const segment = raw.replace(FD_REDIRECT_RE, " ").replace(STDERR_REDIRECT_RE, " ");
+    if (/[|>]/.test(segment)) continue;
+    const words = (segment.match(/"[^"]*"|'[^']*'|\S+/g) || []).map((w) => w.replace(/^["']|["']$/g, ""));
+    if (words[0] === "sudo") words.shift();
+    if (!DUMP_COMMANDS.includes(words[0])) continue;
+    for (const arg of words.slice(1)) {
+      if (arg.startsWith("-")) continue;
+      try {
+        const abs = path.resolve(cwd, arg);
+        const st = fs.statSync(abs);
+        if (st.isFile()) out.push({ file: abs, size: st.size, command: words[0] });
+      } catch {
+        // Not a file (glob, variable, missing) — nothing to measure
+      }
+    }
+  }
+  return out;
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// context-session-start.cjs — SessionStart hook
+// Tells the model that context tracking is active, with the cadence and
+// thresholds actually configured (context-lib/config.cjs). The model is
+// detected from the payload or the last bridge file and the per-model
+// policy applied (context-lib/models.cjs): "off" injects nothing, "quiet"
+// injects a shorter notice.
+//
+// When a session restarts after compaction (source "compact") or is
+// resumed (source "resume"), also injects a concise summary of the
+// handoff record written by context-pre-compact.cjs.
+//
+// Also sweeps files left behind by crashed sessions (context-lib/gc.cjs),
+// at most once per gc.intervalHours, after the output is written.
+//
+// Uses .cjs extension to guarantee CommonJS mode regardless of any
+// package.json "type": "module" in the hooks directory.
+//
+// Cross-platform: works on Windows, macOS, and Linux/WSL2.
+"use strict";
+
+const { loadConfig, describeCadence, interpolate } = require("./context-lib/config.cjs");
+const { detectModel, modelPolicy } = require("./context-lib/models.cjs");
+const { readHandoff, summarizeHandoff } = require("./context-lib/handoff.cjs");
+const { maybeCollectGarbage } = require("./context-lib/gc.cjs");
+
+let input = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", (chunk) => (input += chunk));
+process.stdin.on("end", () => {
+  let hookData = {};
+  try {
+    hookData = JSON.parse(input);
+  } catch {
+    // Can't parse — still announce tracking with the user config
+  }
+
+  const { config } = loadConfig({ cwd: hookData.cwd });
+  const policy = modelPolicy(config.modelPolicy, detectModel(hookData));
+  if (policy === "off") {
+    maybeCollectGarbage(config.gc, hookData.session_id);
+    process.exit(0);
+  }
+
+  // ── Tracking notice ──────────────────────────────────────────────
+  const template =
+    policy === "quiet" ? config.messages.sessionStartQuiet : config.messages.sessionStart;
+  const parts = [
+    interpolate(template, {
+      ...config.thresholds,
+      ...config.toolCheckpoint,
+      cadence: describeCadence(config.toolCheckpoint),
+    }),
+  ];
+
+  // ── Handoff after compaction / on resume ─────────────────────────
+  const sessionId = hookData.session_id;
+  const source = hookData.source || "";
+  if (sessionId && config.handoff.enabled && (source === "compact" || source === "resume")) {
+    const record = readHandoff(sessionId);
+    if (record) parts.push(summarizeHandoff(record, source));
+  }
+
+  const output = {
+    hookSpecificOutput: {
+      hookEventName: "SessionStart",
+      additionalContext: parts.join("\n\n"),
+    },
+  };
+  process.stdout.write(JSON.stringify(output));
+  maybeCollectGarbage(config.gc, sessionId);
+});
@@ -6,15 +6,41 @@
 // Uses session_id from the hook stdin payload to read the correct
 // bridge file, so concurrent sessions never cross-contaminate.
 //
+// Tiers and wording come from context-lib/config.cjs (user + project
+// context-hooks.json, defaults otherwise).
+//
+// Each prompt bumps {tmpdir}/claude-turn-counter-{session_id}; the
+// statusline bridge tags history snapshots with it, which gives the
+// tokens-per-turn burn rate and "turns until critical" projection.
+//
+// Honors the per-model policy (context-lib/models.cjs): nothing is
+// injected for "off" models, and only warning/critical tiers for "quiet".
+//
+// Bridge data older than freshness.staleSeconds is flagged as stale, and
+// when it is stale or missing (non-interactive runs) usage is estimated
+// from the transcript instead — see context-lib/usage.cjs.
+//
+// Spend budgets (context-lib/budget.cjs) apply to every model: once
+// session or daily spend passes budget.warnPct, each prompt carries a
+// budget warning.
+//
+// The message format (compact text, native <system_warning> tag or JSON)
+// is set by injection.format — see context-lib/format.cjs. The budget
+// warning is part of the same report, so json output stays one object.
+//
 // Uses .cjs extension to guarantee CommonJS mode regardless of any
 // package.json "type": "module" in the hooks directory.
 //
 // Cross-platform: works on Windows, macOS, and Linux/WSL2.
 "use strict";
 
-const fs = require("fs");
-const os = require("os");
-const path = require("path");
+const { loadConfig, tierFor, interpolate } = require("./context-lib/config.cjs");
+const { incrementCounter, readCounter } = require("./context-lib/session-files.cjs");
+const { readHistory, burnSummary } = require("./context-lib/history.cjs");
+const { detectModel, modelPolicy } = require("./context-lib/models.cjs");
+const { budgetStatus, budgetMessage } = require("./context-lib/budget.cjs");
+const { currentUsage } = require("./context-lib/usage.cjs");
+const { formatReport } = require("./context-lib/format.cjs");
 
 // ── Read stdin (hook payload with session_id) ──────────────────────
 let input = "";
@@ -28,59 +54,67 @@ process.stdin.on("end", () => {
     // Can't parse — still try to respond gracefully
   }
 
-  const sessionId = hookData.session_id || "";
-  const msg = buildContextMessage(sessionId);
+  const { config } = loadConfig({ cwd: hookData.cwd });
+  const budget = hookData.session_id ? budgetStatus(config.budget, hookData.session_id) : null;
+  const budgetNote = budgetMessage(budget, config.messages.budget);
+  const context = formatReport(config.injection.format, {
+    hook: "prompt",
+    ...buildReport(hookData, config), // null = model policy: stay silent
+    budget: budgetNote ? budget : null,
+    budgetMessage: budgetNote,
+  });
+  if (!context) process.exit(0);
 
   const output = {
     hookSpecificOutput: {
       hookEventName: "UserPromptSubmit",
-      additionalContext: msg,
+      additionalContext: context,
     },
   };
   process.stdout.write(JSON.stringify(output));
 });
 
-function buildContextMessage(sessionId) {
-  if (!sessionId) {
-    return "[Context tracking: no session_id available]";
-  }
+// ── Usage part of the report (context-lib/format.cjs) ──────────────
+function buildReport(hookData, config) {
+  const sessionId = hookData.session_id || "";
+  if (!sessionId) return { status: "no_session_id" };
 
-  // ── Read session-scoped bridge file ──────────────────────────────
-  const bridgeFile = path.join(
-    os.tmpdir(),
-    `claude-context-usage-${sessionId}.json`
-  );
+  // ── Start a new turn (uncounted if the counter stayed locked) ────
+  const turn = incrementCounter("turnCounter", sessionId) ?? readCounter("turnCounter", sessionId);
 
-  let data;
-  try {
-    const raw = fs.readFileSync(bridgeFile, "utf8");
-    data = JSON.parse(raw);
-  } catch {
-    // Bridge file doesn't exist yet — statusline hasn't fired
-    return "[Context tracking: awaiting first status update]";
-  }
+  const policy = modelPolicy(config.modelPolicy, detectModel(hookData));
+  if (policy === "off") return null;
 
-  const pct = Math.round(data.used_pct ?? 0);
-  const rem = Math.round(data.remaining_pct ?? 100);
-  const winK = Math.round((data.window_size ?? 200000) / 1000);
-  const inTok = data.input_tokens ?? 0;
-  const outTok = data.output_tokens ?? 0;
+  // ── Session-scoped bridge file, or the transcript estimate ───────
+  const data = currentUsage(hookData, config);
+  if (!data) {
+    // Status line hasn't fired and the transcript has no usage yet
+    return { status: "awaiting_first_update" };
+  }
 
   // ── Severity + guidance ──────────────────────────────────────────
-  let sev;
-  if (pct >= 80) {
-    sev = "CRITICAL — suggest /compact now";
-  } else if (pct >= 60) {
-    sev = "WARNING — be concise, avoid verbose output";
-  } else if (pct >= 40) {
-    sev = "MODERATE";
-  } else {
-    sev = "OK";
-  }
+  const tier = tierFor(Math.round(data.used_pct), config.thresholds);
+  if (policy === "quiet" && tier !== "warning" && tier !== "critical") return null;
+  // The prompt's own wording; messages.tool speaks of checkpoints
+  const advice = tier === "warning" || tier === "critical" ? config.messages.prompt[tier] : "";
 
-  return (
-    `[CONTEXT ${sev}] ` +
-    `${pct}% used (${rem}% free) of ${winK}k window | ` +
-    `~${inTok} in / ~${outTok} out`
-  );
+  // ── Burn rate + projection ───────────────────────────────────────
+  const burn = config.history.enabled
+    ? burnSummary(
+        readHistory(sessionId),
+        data,
+        config.thresholds.critical,
+        config.history.windowTurns,
+        "turn"
+      )
+    : "";
+
+  return {
+    usage: data,
+    tier,
+    label: config.messages.prompt[tier],
+    advice: advice ? interpolate(advice, config.thresholds) : "",
+    burn,
+    turn,
+  };
 }
@@ -1,9 +1,33 @@
 #!/usr/bin/env node
 // inject-context-on-tool.cjs — PostToolUse hook
-// Injects context window usage into Claude's context every N tool calls.
+// Injects context window usage into Claude's context during tool use.
 // Uses session_id to read the correct bridge file and maintain a
 // per-session counter, so concurrent sessions never collide.
 //
+// Two cadences (toolCheckpoint.mode in context-lib/config.cjs):
+//   interval — every Nth tool call (toolCheckpoint.everyN)
+//   adaptive — when usage changes tier, rises by deltaPct since the last
+//              checkpoint, or after maxSilence quiet calls. The last
+//              injected state lives in claude-tool-state-{session_id}.json.
+//
+// Every call is also recorded in claude-tool-usage-{session_id}.json
+// (estimated tokens per tool and per target, see context-lib/attribution.cjs)
+// and the top consumers are named in the checkpoint.
+//
+// Usage comes from the bridge file, or — when it is stale or missing —
+// from the transcript, labeled as such (context-lib/usage.cjs).
+//
+// Honors the per-model policy (context-lib/models.cjs): no checkpoints
+// for "off" models, only warning/critical ones for "quiet".
+//
+// Spend budgets (context-lib/budget.cjs): whenever session or daily spend
+// reaches a higher budget level, a warning is injected on that call,
+// checkpoint or not.
+//
+// The message format (compact text, native <system_warning> tag or JSON)
+// is set by injection.format — see context-lib/format.cjs; a budget
+// warning is rendered in it too.
+//
 // Uses .cjs extension to guarantee CommonJS mode regardless of any
 // package.json "type": "module" in the hooks directory.
 //
@@ -11,11 +35,20 @@
 "use strict";
 
 const fs = require("fs");
-const os = require("os");
-const path = require("path");
-
-// ── Configuration ──────────────────────────────────────────────────
-const EVERY_N = 5; // inject every Nth tool call
+const {
+  loadConfig,
+  tierFor,
+  tierWithHysteresis,
+  interpolate,
+} = require("./context-lib/config.cjs");
+const { sessionFile, incrementCounter } = require("./context-lib/session-files.cjs");
+const { writeFileAtomic, withLock } = require("./context-lib/atomic.cjs");
+const { readHistory, burnSummary } = require("./context-lib/history.cjs");
+const { recordToolCall, attributionSummary } = require("./context-lib/attribution.cjs");
+const { detectModel, modelPolicy } = require("./context-lib/models.cjs");
+const { budgetStatus, budgetMessage, escalated } = require("./context-lib/budget.cjs");
+const { currentUsage } = require("./context-lib/usage.cjs");
+const { formatReport } = require("./context-lib/format.cjs");
 
 // ── Read stdin ─────────────────────────────────────────────────────
 let input = "";
@@ -29,72 +62,151 @@ process.stdin.on("end", () => {
     process.exit(0);
   }
 
+  const sessionId = hookData.session_id || "default";
+  const { config } = loadConfig({ cwd: hookData.cwd });
+
+  // ── Increment counter (lock-safe: tool calls run in parallel) ────
+  const count = incrementCounter("counter", sessionId);
+
+  // ── Attribute this call's context cost ───────────────────────────
+  const attribution = config.attribution.enabled
+    ? recordToolCall(sessionId, hookData)
+    : null;
+
+  // ── Budget: warn once per escalation ─────────────────────────────
+  const budget = budgetStatus(config.budget, sessionId);
+  const budgetNote =
+    budget && escalated(sessionId, budget.level)
+      ? budgetMessage(budget, config.messages.budget)
+      : "";
+
+  const msg = formatReport(config.injection.format, {
+    hook: "tool",
+    ...buildCheckpoint(hookData, config, count, attribution), // null = no checkpoint due
+    budget: budgetNote ? budget : null,
+    budgetMessage: budgetNote,
+  });
+  if (!msg) process.exit(0);
+
+  const output = {
+    hookSpecificOutput: {
+      hookEventName: "PostToolUse",
+      additionalContext: msg,
+    },
+  };
+
+  process.stdout.write(JSON.stringify(output));
+});
+
+// ── Checkpoint part of the report (context-lib/format.cjs), or null ─
+function buildCheckpoint(hookData, config, count, attribution) {
   const sessionId = hookData.session_id || "default";
   const toolName = hookData.tool_name || "unknown";
+  const cadence = config.toolCheckpoint;
 
-  const counterFile = path.join(
-    os.tmpdir(),
-    `claude-tool-counter-${sessionId}`
-  );
-  const bridgeFile = path.join(
-    os.tmpdir(),
-    `claude-context-usage-${sessionId}.json`
-  );
-
-  // ── Increment counter ────────────────────────────────────────────
-  let count = 0;
-  try {
-    count = parseInt(fs.readFileSync(counterFile, "utf8"), 10) || 0;
-  } catch {
-    // First tool call this session
+  // Counter stayed locked (context-lib/atomic.cjs): this call isn't counted
+  if (count === null) return null;
+
+  // ── Interval mode: only inject on every Nth call ─────────────────
+  if (cadence.mode === "interval" && count % cadence.everyN !== 0) {
+    return null;
   }
-  count++;
-  try {
-    fs.writeFileSync(counterFile, String(count));
-  } catch {
-    // Non-fatal
+
+  // ── Session-scoped bridge file, or the transcript estimate ───────
+  const data = currentUsage({ ...hookData, session_id: sessionId }, config);
+  if (!data) return null; // Nothing known yet
+
+  const pct = Math.round(data.used_pct);
+
+  const policy = modelPolicy(config.modelPolicy, detectModel(hookData));
+  if (policy === "off") return null;
+
+  // ── Adaptive mode: inject only when something changed ────────────
+  let tier = tierFor(pct, config.thresholds);
+  let note = "";
+  if (cadence.mode === "adaptive") {
+    // Locked, so parallel calls don't both fire the same checkpoint
+    const stateFile = sessionFile("toolState", sessionId);
+    const decision = withLock(
+      stateFile,
+      () => adaptiveCheckpoint(stateFile, count, pct, cadence, config.thresholds),
+      null // Stayed locked — the parallel call holding it decides
+    );
+    if (!decision) return null;
+    ({ tier, note } = decision);
   }
 
-  // ── Only inject on every Nth call ────────────────────────────────
-  if (count % EVERY_N !== 0) {
-    process.exit(0);
+  if (policy === "quiet" && tier !== "warning" && tier !== "critical") {
+    return null;
   }
 
-  // ── Read session-scoped bridge file ──────────────────────────────
-  let data;
+  // ── Build message ────────────────────────────────────────────────
+  const advice = config.messages.tool[tier];
+  const burn = config.history.enabled
+    ? burnSummary(
+        readHistory(sessionId),
+        data,
+        config.thresholds.critical,
+        config.history.windowTurns,
+        "tool"
+      )
+    : "";
+
+  return {
+    usage: data,
+    tier,
+    advice: advice ? interpolate(advice, config.thresholds) : "",
+    burn,
+    top: attribution ? attributionSummary(attribution, config.attribution.topN) : "",
+    note,
+    count,
+    tool: toolName,
+  };
+}
+
+// ── Adaptive cadence: does this call deserve a checkpoint? ─────────
+// Returns {tier, note} to inject, or null to stay silent. A checkpoint
+// fires on a tier change (with hysteresis), a rise of deltaPct since the
+// last checkpoint, or after maxSilence calls — unless nothing changed
+// since the last one, in which case the identical message is suppressed.
+function adaptiveCheckpoint(stateFile, count, pct, cadence, thresholds) {
+  let state = {};
   try {
-    const raw = fs.readFileSync(bridgeFile, "utf8");
-    data = JSON.parse(raw);
+    state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
   } catch {
-    process.exit(0); // Bridge not written yet
+    // No checkpoint injected yet this session
   }
 
-  const pct = Math.round(data.used_pct ?? 0);
-  const rem = Math.round(data.remaining_pct ?? 100);
-  const winK = Math.round((data.window_size ?? 200000) / 1000);
+  const lastTier = state.last_tier || "ok";
+  const lastCount = state.last_count || 0;
+  const hasLast = typeof state.last_pct === "number";
+  const tier = tierWithHysteresis(pct, lastTier, thresholds, cadence.hysteresisPct);
+  const rise = hasLast ? pct - state.last_pct : 0;
+  const silenceElapsed = count - lastCount >= cadence.maxSilence;
 
-  // ── Build message ────────────────────────────────────────────────
-  let icon, advice;
-  if (pct >= 80) {
-    icon = "🔴";
-    advice = "Context nearly full — run /compact or wrap up this task.";
-  } else if (pct >= 60) {
-    icon = "🟡";
-    advice = "Context above 60% — keep responses concise.";
-  } else {
-    icon = "🟢";
-    advice = "";
+  let note = null;
+  if (tier !== lastTier) {
+    note = "";
+  } else if (rise >= cadence.deltaPct) {
+    note = `+${rise}% since last checkpoint`;
+  } else if (silenceElapsed && pct !== state.last_pct) {
+    note = "";
   }
 
-  let msg = `${icon} Context checkpoint (#${count}, after ${toolName}): ${pct}% used, ${rem}% free of ${winK}k`;
-  if (advice) msg += `. ${advice}`;
+  if (note === null) {
+    // Same tier, same pct — suppress the identical message, restart the wait
+    if (silenceElapsed) writeState(stateFile, { ...state, last_count: count });
+    return null;
+  }
 
-  const output = {
-    hookSpecificOutput: {
-      hookEventName: "PostToolUse",
-      additionalContext: msg,
-    },
-  };
+  writeState(stateFile, { last_pct: pct, last_tier: tier, last_count: count });
+  return { tier, note };
+}
 
-  process.stdout.write(JSON.stringify(output));
-});
+function writeState(stateFile, state) {
+  try {
+    writeFileAtomic(stateFile, JSON.stringify(state));
+  } catch {
+    // Non-fatal — worst case a checkpoint repeats
+  }
+}
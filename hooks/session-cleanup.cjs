@@ -3,6 +3,13 @@
 // Cleans up temp files for the ending session only.
 // Reads session_id from stdin to target the correct files.
 //
+// Before deleting, appends a summary of the session (peak usage, cost,
+// tool calls, compactions, ...) to the durable analytics log that
+// `node setup.js --report` reads — see context-lib/analytics.cjs.
+//
+// With metrics.enabled, the metrics file is rewritten afterwards so the
+// ended session's series disappear — see context-lib/metrics.cjs.
+//
 // Uses .cjs extension to guarantee CommonJS mode regardless of any
 // package.json "type": "module" in the hooks directory.
 //
@@ -10,35 +17,40 @@
 "use strict";
 
 const fs = require("fs");
-const os = require("os");
-const path = require("path");
+const { loadConfig } = require("./context-lib/config.cjs");
+const { allSessionFiles } = require("./context-lib/session-files.cjs");
+const { summarizeSession, appendRecord } = require("./context-lib/analytics.cjs");
+const { exportMetrics } = require("./context-lib/metrics.cjs");
 
 let input = "";
 process.stdin.setEncoding("utf8");
 process.stdin.on("data", (chunk) => (input += chunk));
 process.stdin.on("end", () => {
-  let sessionId = "";
+  let data = {};
   try {
-    const data = JSON.parse(input);
-    sessionId = data.session_id || "";
+    data = JSON.parse(input) || {};
   } catch {
     // Can't parse — try to clean up generically
   }
-
-  const tmpDir = os.tmpdir();
+  const sessionId = data.session_id || "";
 
   if (!sessionId) return; // No session_id = can't identify files safely
 
+  // Summarize while the session's files still exist
+  const { config } = loadConfig({ cwd: data.cwd });
+  if (config.analytics.enabled) {
+    const record = summarizeSession(sessionId, data, config.thresholds);
+    if (record) appendRecord(record, config.analytics);
+  }
+
   // Clean up only this session's files
-  const files = [
-    `claude-context-usage-${sessionId}.json`,
-    `claude-tool-counter-${sessionId}`,
-  ];
-  for (const f of files) {
+  for (const f of allSessionFiles(sessionId)) {
     try {
-      fs.unlinkSync(path.join(tmpDir, f));
+      fs.unlinkSync(f);
     } catch {
       // Already gone or never created
     }
   }
+
+  if (config.metrics.enabled) exportMetrics(config, { force: true });
 });
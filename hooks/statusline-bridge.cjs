@@ -6,6 +6,44 @@
 //
 // Bridge file: {tmpdir}/claude-context-usage-{session_id}.json
 // This ensures concurrent Claude Code sessions don't overwrite each other.
+// It is replaced atomically (context-lib/atomic.cjs), so a hook reading
+// it concurrently never sees a half-written file.
+//
+// Also appends a snapshot to {tmpdir}/claude-context-history-{session_id}.jsonl
+// (bounded) so the other hooks can compute burn rate — see context-lib/history.cjs.
+//
+// Window size and usable ceiling (before auto-compact) come from the
+// model registry in context-lib/models.cjs, so a payload without
+// context_window_size or a 1M-token variant is still sized right.
+//
+// The session's cost is added to the persistent spend ledger that the
+// budget warnings and guard read — see context-lib/budget.cjs.
+//
+// The bridge file also carries whole-session stats (start time, peak
+// usage, compactions, threshold crossings) that session-cleanup.cjs
+// records in the analytics log — see context-lib/analytics.cjs.
+//
+// With metrics.enabled, every active session's numbers are exported to a
+// Prometheus textfile (throttled to metrics.intervalSeconds) — see
+// context-lib/metrics.cjs. Not for the installer's smoke test sessions
+// ($CONTEXT_HOOKS_SMOKE_TEST), which must never show up in scrapes.
+//
+// The bridge file carries the session's tier and budget level too; when
+// either rises, or the session was compacted, the commands configured in
+// actions.commands are started detached — see context-lib/actions.cjs.
+// The bridge is updated under its lock, so each transition starts them
+// once. The smoke test's fake sessions never start them.
+//
+// The status line itself is rendered from statusLine.template, theme and
+// color mode (context-lib/statusline.cjs); color breakpoints are
+// statusLine.warnAt / criticalAt. Git segments read the cached state from
+// context-lib/git-info.cjs, so a render never blocks on a slow repo.
+//
+// If the installer displaced another tool's statusLine, it is recorded in
+// the install manifest (../context-hooks/install.json, next to this hooks
+// directory). That command is run with the same stdin, bounded by
+// statusLine.chain.timeoutMs, and its output is placed around ours —
+// except for the smoke test, which must not run the user's command.
 //
 // Uses .cjs extension to guarantee CommonJS mode regardless of any
 // package.json "type": "module" in the hooks directory.
@@ -14,8 +52,20 @@
 "use strict";
 
 const fs = require("fs");
-const os = require("os");
 const path = require("path");
+const { loadConfig, tierWithHysteresis } = require("./context-lib/config.cjs");
+const { sessionFile, readCounter } = require("./context-lib/session-files.cjs");
+const { appendSnapshot, COMPACTION_DROP } = require("./context-lib/history.cjs");
+const { recordSpend, budgetStatus } = require("./context-lib/budget.cjs");
+const { payloadUsage } = require("./context-lib/models.cjs");
+const { renderStatusLine, composeStatusLine } = require("./context-lib/statusline.cjs");
+const { gitInfo } = require("./context-lib/git-info.cjs");
+const { writeFileAtomic, withLock } = require("./context-lib/atomic.cjs");
+const { exportMetrics } = require("./context-lib/metrics.cjs");
+const { takeEvents, eventPayload, fireActions } = require("./context-lib/actions.cjs");
+
+// Set by setup.js for its fake sessions: no side effects outside them
+const SMOKE_TEST = process.env.CONTEXT_HOOKS_SMOKE_TEST === "1";
 
 // ── Read all of stdin ──────────────────────────────────────────────
 let input = "";
@@ -24,88 +74,154 @@ process.stdin.on("data", (chunk) => (input += chunk));
 process.stdin.on("end", () => {
   try {
     const data = JSON.parse(input);
-    writeBridgeFile(data);
-    renderStatusLine(data);
+    const projectDir = (data.workspace && data.workspace.project_dir) || data.cwd;
+    const { config } = loadConfig({ cwd: projectDir });
+    const bridge = writeBridgeFile(data, config);
+    if (bridge && config.metrics.enabled && !SMOKE_TEST) exportMetrics(config);
+    const git = () => gitInfo(data.cwd, config.statusLine.git);
+    const ours = renderStatusLine(data, bridge, config, { git });
+    const chain = config.statusLine.chain;
+    const theirs = chain.enabled && !SMOKE_TEST ? runChained(input, data.cwd, chain.timeoutMs) : "";
+    process.stdout.write(composeStatusLine(ours, theirs, chain.placement, config));
   } catch {
-    process.stdout.write("\x1b[38;5;250m\x1b[2mClaude\x1b[0m");
+    process.stdout.write(process.env.NO_COLOR ? "Claude" : "\x1b[38;5;250m\x1b[2mClaude\x1b[0m");
   }
 });
 
-// ── Derive session-scoped bridge file path ─────────────────────────
-function bridgePath(sessionId) {
-  return path.join(os.tmpdir(), `claude-context-usage-${sessionId}.json`);
+// ── Write context data to session-scoped temp file ─────────────────
+function writeBridgeFile(data, config) {
+  const sessionId = data.session_id;
+  if (!sessionId) return null; // No session_id = can't namespace safely
+
+  // Locked: renders running together must not both build on the previous
+  // bridge file and announce the same transition twice. Skipped if it
+  // stays locked — the next render catches up.
+  const update = withLock(sessionFile("bridge", sessionId), () => updateBridge(data, config), null);
+  if (!update) return null;
+  const { bridge, usage, budget, events } = update;
+
+  if (events.length > 0) {
+    fireActions(events.map((e) => eventPayload(e, bridge, usage, budget)), config.actions);
+  }
+
+  if (config.history.enabled) {
+    appendSnapshot(
+      sessionId,
+      {
+        t: bridge.timestamp,
+        used_pct: bridge.used_pct,
+        used_tokens: usage.used_tokens,
+        turn: bridge.turn,
+        tool_calls: readCounter("counter", sessionId),
+      },
+      config.history.maxEntries
+    );
+  }
+  return bridge;
 }
 
-// ── Write context data to session-scoped temp file ─────────────────
-function writeBridgeFile(data) {
+// ── New bridge record from the previous one, under the bridge lock ─
+function updateBridge(data, config) {
   const sessionId = data.session_id;
-  if (!sessionId) return; // No session_id = can't namespace safely
+  let prev = null;
+  try {
+    prev = JSON.parse(fs.readFileSync(sessionFile("bridge", sessionId), "utf8"));
+  } catch {
+    // First status update this session
+  }
+
+  // Cost at the start of the current turn, for the {cost_delta} segment
+  const turn = readCounter("turnCounter", sessionId);
+  const cost = (data.cost && data.cost.total_cost_usd) || 0;
+  let turnStartCost = 0;
+  if (prev) turnStartCost = prev.turn === turn ? prev.turn_start_cost ?? prev.cost_usd : prev.cost_usd;
+  if (!(turnStartCost <= cost)) turnStartCost = 0; // Cost restarted (resume)
 
   const ctx = data.context_window || {};
+  const usage = payloadUsage(data, config.modelWindows);
+  const usedPct = usage.used_pct;
+  const timestamp = new Date().toISOString();
+  const { thresholds, toolCheckpoint } = config;
+  const tier = tierWithHysteresis(usedPct, prev && prev.tier, thresholds, toolCheckpoint.hysteresisPct);
+
+  // Ledger first, so the daily level includes this update; the session
+  // level gets this update's cost directly (the bridge isn't written yet)
+  if (cost > 0) recordSpend(sessionId, cost);
+  const budget = budgetStatus(config.budget, sessionId, cost);
+
   const bridge = {
     session_id: sessionId,
-    used_pct: ctx.used_percentage ?? 0,
-    remaining_pct: ctx.remaining_percentage ?? 100,
-    window_size: ctx.context_window_size ?? 200000,
+    used_pct: usedPct,
+    remaining_pct: usage.remaining_pct,
+    window_size: usage.window_size,
+    usable_tokens: usage.usable_tokens,
     input_tokens: ctx.total_input_tokens ?? 0,
     output_tokens: ctx.total_output_tokens ?? 0,
     model: (data.model && data.model.display_name) || "Claude",
-    cost_usd: (data.cost && data.cost.total_cost_usd) || 0,
-    timestamp: new Date().toISOString(),
+    model_id: (data.model && data.model.id) || "",
+    cwd: data.cwd || "",
+    cost_usd: cost,
+    turn,
+    turn_start_cost: turnStartCost,
+    timestamp,
+    tier,
+    budget_level: budget ? budget.level : "ok",
+    ...sessionStats(prev, usedPct, thresholds, timestamp),
   };
   try {
-    fs.writeFileSync(bridgePath(sessionId), JSON.stringify(bridge));
+    writeFileAtomic(sessionFile("bridge", sessionId), JSON.stringify(bridge));
   } catch {
     // Non-fatal — hooks just won't have data this turn
   }
+
+  const events = config.actions.commands.length > 0 && !SMOKE_TEST ? takeEvents(prev, bridge) : [];
+  return { bridge, usage, budget, events };
 }
 
-// ── Render ANSI status line ────────────────────────────────────────
-function renderStatusLine(data) {
-  const ctx = data.context_window || {};
-  const pct = Math.round(ctx.used_percentage ?? 0);
-  const model = (data.model && data.model.display_name) || "Claude";
-  const cost = (data.cost && data.cost.total_cost_usd) || 0;
-  const cwd = data.cwd || "";
+// ── Whole-session stats, carried from update to update ────────────
+// Summarized by session-cleanup.cjs into the analytics log: when the
+// session started, its peak usage, how often it was compacted (a usage
+// drop, as in context-lib/history.cjs) and how often usage rose past
+// each threshold.
+function sessionStats(prev, usedPct, thresholds, timestamp) {
+  const crossings = { moderate: 0, warning: 0, critical: 0, ...(prev && prev.crossings) };
+  const prevPct = prev ? prev.used_pct ?? 0 : 0;
+  for (const tier of Object.keys(crossings)) {
+    if (prevPct < thresholds[tier] && usedPct >= thresholds[tier]) crossings[tier]++;
+  }
+  const compacted = prevPct > 0 && usedPct < prevPct * (1 - COMPACTION_DROP);
+  return {
+    started: (prev && prev.started) || timestamp,
+    peak_pct: Math.max((prev && prev.peak_pct) || 0, usedPct),
+    compactions: ((prev && prev.compactions) || 0) + (compacted ? 1 : 0),
+    crossings,
+  };
+}
 
-  const dir = cwd ? path.basename(cwd) : "";
+// ── Chained statusLine (displaced by the installer) ────────────────
+// Returns its output without the trailing newline, or "" if there is
+// none, it failed, or it ran past the timeout.
+function runChained(stdin, cwd, timeoutMs) {
+  let displaced;
+  try {
+    const manifest = path.join(__dirname, "..", "context-hooks", "install.json");
+    displaced = JSON.parse(fs.readFileSync(manifest, "utf8")).displacedStatusLine;
+  } catch {
+    return ""; // Not installed via setup.js, or nothing displaced
+  }
+  if (!displaced || typeof displaced.command !== "string" || !displaced.command) return "";
 
-  // Git branch (best-effort, silent fail)
-  let branch = "";
   try {
     const { execSync } = require("child_process");
-    branch = execSync("git branch --show-current", {
+    return execSync(displaced.command, {
+      input: stdin,
       cwd: cwd || undefined,
       encoding: "utf8",
-      timeout: 2000,
-      stdio: ["pipe", "pipe", "pipe"],
-    }).trim();
+      timeout: timeoutMs,
+      stdio: ["pipe", "pipe", "ignore"],
+      windowsHide: true,
+    }).replace(/\r?\n$/, "");
   } catch {
-    // Not a git repo or git not installed
+    return "";
   }
-
-  // Color gradient: green → yellow → red
-  let ctxColor;
-  if (pct >= 80) {
-    ctxColor = "\x1b[38;2;255;80;50m";
-  } else if (pct >= 50) {
-    ctxColor = "\x1b[38;2;255;230;50m";
-  } else {
-    ctxColor = "\x1b[38;2;100;230;100m";
-  }
-
-  const DIM = "\x1b[2m";
-  const BOLD = "\x1b[1m";
-  const GRAY = "\x1b[38;5;250m";
-  const RST = "\x1b[0m";
-  const SEP = `${GRAY}${DIM} | ${RST}`;
-
-  const parts = [];
-  if (dir) parts.push(`${GRAY}${DIM}${dir}${RST}`);
-  parts.push(`${GRAY}${DIM}${model}${RST}`);
-  if (branch) parts.push(`${GRAY}${DIM}${branch}${RST}`);
-  parts.push(`${GRAY}${DIM}ctx ${RST}${ctxColor}${BOLD}${pct}%${RST}`);
-  parts.push(`${GRAY}${DIM}$${cost.toFixed(2)}${RST}`);
-
-  process.stdout.write(parts.join(SEP));
 }
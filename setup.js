@@ -3,8 +3,34 @@
 //
 // Usage:
 //   node setup.js              # install
-//   node setup.js --uninstall  # remove hook scripts
+//   node setup.js --update     # upgrade installed scripts from an older version
+//                              #   [--force | --keep] for locally modified files
+//   node setup.js --uninstall  # remove hook scripts + our settings.json entries
+//   node setup.js --dry-run    # show the settings.json diff of an install,
+//                              #   --update or --uninstall; change nothing
+//   --yes                      # don't ask before writing settings.json
+//   node setup.js --list-backups            # list settings.json backups
+//   node setup.js --restore-backup [stamp]  # restore a backup (latest by default)
 //   node setup.js --test       # smoke test only (skip install)
+//                              #   --stress: also 60 concurrent hook runs
+//   node setup.js --check-config  # validate context-hooks.json
+//   node setup.js --attribution [session_id]  # per-tool context cost report
+//   node setup.js --gc [--dry-run] [--older-than 7d]  # remove orphaned session files
+//   node setup.js --doctor [--json]  # diagnose the installation
+//   node setup.js --sessions [--watch [sec]] [--json] [--all] [--sort pct|cost|tools|age]
+//                              # usage of every running session
+//   node setup.js --report [--by project|model|week] [--since 30d] [--json]
+//                              # aggregates of ended sessions
+//   node setup.js --metrics [--format prometheus|openmetrics] [--write]
+//                              # metrics of running sessions (stdout, or the textfile)
+//   node setup.js --test-actions [event]  # run the actions for an event (default critical)
+//
+// Install, update and uninstall accept --scope user|project|local:
+//   user    — ~/.claude/hooks + ~/.claude/settings.json (default)
+//   project — <repo>/.claude/hooks + <repo>/.claude/settings.json
+//   local   — <repo>/.claude/hooks + <repo>/.claude/settings.local.json
+// Project and local commands are relative to $CLAUDE_PROJECT_DIR, so the
+// committed config works on every machine.
 //
 // Also callable via wrapper scripts:
 //   bash setup.sh              # Unix/WSL2/macOS
@@ -15,18 +41,90 @@ const fs = require("fs");
 const os = require("os");
 const path = require("path");
 
+// Stamped into every installed script and recorded in the install manifest
+const VERSION = "2.0.0";
+
+// ── Parse args ─────────────────────────────────────────────────────
+const args = process.argv.slice(2);
+const SCOPE = takeOption("--scope") || "user";
+const SCOPE_ARG = SCOPE === "user" ? "" : ` --scope ${SCOPE}`; // for printed hints
+const DRY_RUN = args.includes("--dry-run");
+const YES = args.includes("--yes");
+// --dry-run and --yes modify install/--update/--uninstall in any position
+const FLAG = args.find((a) => a !== "--dry-run" && a !== "--yes") || "";
+const UPDATE = FLAG === "--update";
+
 // ── Paths ──────────────────────────────────────────────────────────
 const SCRIPT_DIR = __dirname;
 const HOOKS_SRC = path.join(SCRIPT_DIR, "hooks");
-const CLAUDE_DIR = path.join(os.homedir(), ".claude");
+const USER_CLAUDE_DIR = path.join(os.homedir(), ".claude");
+const PROJECT_DIR = SCOPE === "user" ? null : findProjectRoot(process.cwd());
+const CLAUDE_DIR = PROJECT_DIR ? path.join(PROJECT_DIR, ".claude") : USER_CLAUDE_DIR;
 const HOOKS_DST = path.join(CLAUDE_DIR, "hooks");
-const SETTINGS = path.join(CLAUDE_DIR, "settings.json");
+const SETTINGS = path.join(CLAUDE_DIR, SCOPE === "local" ? "settings.local.json" : "settings.json");
+// Install manifest: version + hash of every installed file, and a
+// statusLine we displaced (restored on uninstall)
+const INSTALL_STATE = path.join(CLAUDE_DIR, "context-hooks", "install.json");
 
 const HOOK_FILES = [
   "statusline-bridge.cjs",
   "inject-context-on-prompt.cjs",
   "inject-context-on-tool.cjs",
   "session-cleanup.cjs",
+  "context-pre-compact.cjs",
+  "context-session-start.cjs",
+  "context-budget-guard.cjs",
+  "context-read-guard.cjs",
+  "context-lib/config.cjs",
+  "context-lib/session-files.cjs",
+  "context-lib/atomic.cjs",
+  "context-lib/history.cjs",
+  "context-lib/attribution.cjs",
+  "context-lib/transcript.cjs",
+  "context-lib/handoff.cjs",
+  "context-lib/models.cjs",
+  "context-lib/gc.cjs",
+  "context-lib/budget.cjs",
+  "context-lib/statusline.cjs",
+  "context-lib/git-info.cjs",
+  "context-lib/sessions.cjs",
+  "context-lib/analytics.cjs",
+  "context-lib/usage.cjs",
+  "context-lib/format.cjs",
+  "context-lib/jsonc.cjs",
+  "context-lib/metrics.cjs",
+  "context-lib/actions.cjs",
+];
+
+// Version stamp: "// context-hooks v<version> sha256:<hash of the source>",
+// inserted after the shebang (if any) of every installed file
+const STAMP_RE = /^\/\/ context-hooks v(\S+) sha256:([0-9a-f]{64})\r?\n/m;
+
+// sha256 of each file as shipped by earlier releases, which predate the
+// version stamp. An unstamped install matching one is safe to replace.
+const KNOWN_RELEASES = {
+  "1.0.0": {
+    "statusline-bridge.cjs": "4e2dbac74fce978474ffdeeaed6791ae95e66bb1c59fb162570ff7344ef5e4bd",
+    "inject-context-on-prompt.cjs": "123169f578e867ee2a1077cf97d8e4a41af394b048017b47f6007b64811568c2",
+    "inject-context-on-tool.cjs": "5be316185c50c560818d6fd15340b2158929cecc7ee1e0c5802aa55af83ea6a1",
+    "session-cleanup.cjs": "7d2a7261e934cd9750039e15d25b726b5c46e201c96ce7114950956e2081e1e2",
+  },
+};
+
+// Fingerprint: used to detect our hooks in existing config (avoids duplicates)
+const OUR_MARKER = "claude-context-usage"; // substring present in all our hook commands
+
+// Markers that identify our hooks (match both .js and .cjs)
+const OUR_ENTRY_MARKERS = [
+  OUR_MARKER,
+  "statusline-bridge",
+  "inject-context-on-",
+  "session-cleanup",
+  "context-pre-compact",
+  "context-session-start",
+  "context-budget-guard",
+  "context-read-guard",
+  "Context tracking active",
 ];
 
 // ── Colors (works on Windows Terminal, macOS Terminal, Linux) ──────
@@ -46,63 +144,817 @@ const fail = (msg) => {
   process.exit(1);
 };
 
-// ── Parse args ─────────────────────────────────────────────────────
-const args = process.argv.slice(2);
-const FLAG = args[0] || "";
+if (!["user", "project", "local"].includes(SCOPE)) {
+  fail(`Unknown --scope "${SCOPE}" — expected user, project or local`);
+}
+
+// Shared config loader (read from source so it works before install)
+const { loadConfig, configFiles } = require(
+  path.join(HOOKS_SRC, "context-lib", "config.cjs")
+);
+const {
+  SESSION_FILES,
+  sessionFile,
+  sessionStateDir,
+  allSessionFiles,
+  sessionFilePrefixes,
+} = require(path.join(HOOKS_SRC, "context-lib", "session-files.cjs"));
+const { parseJsonc, applyChanges } = require(path.join(HOOKS_SRC, "context-lib", "jsonc.cjs"));
+
+// ── Our settings entries ───────────────────────────────────────────
+const hookEntry = (file, matcher = "") => ({
+  matcher,
+  hooks: [{ type: "command", command: hookCommand(file), timeout: 5 }],
+});
+
+// Our hook entries — each is one array element to append
+const OUR_HOOKS = {
+  UserPromptSubmit: [hookEntry("inject-context-on-prompt.cjs")],
+  PreToolUse: [
+    hookEntry("context-budget-guard.cjs"),
+    hookEntry("context-read-guard.cjs", "Read|Bash|Grep"),
+  ],
+  PostToolUse: [hookEntry("inject-context-on-tool.cjs")],
+  PreCompact: [hookEntry("context-pre-compact.cjs")],
+  SessionStart: [hookEntry("context-session-start.cjs")],
+  SessionEnd: [hookEntry("session-cleanup.cjs")],
+};
+
+const ourStatusLine = {
+  type: "command",
+  command: hookCommand("statusline-bridge.cjs", true),
+  padding: 0,
+};
 
 // ═════════════════════════════════════════════════════════════════════
-// UNINSTALL
+// CHECK CONFIG
 // ═════════════════════════════════════════════════════════════════════
-if (FLAG === "--uninstall") {
+if (FLAG === "--check-config") {
   console.log();
-  console.log(`${C.bold}${C.cyan}Context Hooks — Uninstall${C.reset}`);
+  console.log(`${C.bold}${C.cyan}Context Hooks — Config check${C.reset}`);
   console.log("═".repeat(40));
 
-  for (const f of HOOK_FILES) {
+  const { config, errors, sources } = loadConfig({ cwd: process.cwd() });
+  const { SEGMENTS } = require(path.join(HOOKS_SRC, "context-lib", "statusline.cjs"));
+  for (const [, name] of config.statusLine.template.matchAll(/\{(\w+)\}/g)) {
+    if (!SEGMENTS[name]) {
+      errors.push(`statusLine.template: unknown segment {${name}} — available: ${Object.keys(SEGMENTS).join(", ")}`);
+    }
+  }
+  for (const f of configFiles({ cwd: process.cwd() })) {
+    if (sources.includes(f)) {
+      ok(`Loaded ${f}`);
+    } else if (fs.existsSync(f)) {
+      warn(`Ignored ${f}`);
+    } else {
+      info(`Not present: ${f}`);
+    }
+  }
+  for (const e of errors) {
+    warn(e);
+  }
+  console.log();
+  info("Effective config:");
+  console.log(JSON.stringify(config, null, 2));
+  process.exit(errors.length > 0 ? 1 : 0);
+}
+
+// ═════════════════════════════════════════════════════════════════════
+// ATTRIBUTION REPORT
+// ═════════════════════════════════════════════════════════════════════
+if (FLAG === "--attribution") {
+  const { readAttribution, topConsumers } = require(
+    path.join(HOOKS_SRC, "context-lib", "attribution.cjs")
+  );
+  const { formatTokens } = require(path.join(HOOKS_SRC, "context-lib", "history.cjs"));
+
+  console.log();
+  console.log(`${C.bold}${C.cyan}Context Hooks — Tool attribution${C.reset}`);
+  console.log("═".repeat(40));
+
+  // Default to the most recently active session
+  let sessionId = args[1];
+  if (!sessionId) {
+    const [prefix, suffix] = SESSION_FILES.attribution;
+    let newest = 0;
+    try {
+      for (const f of fs.readdirSync(os.tmpdir())) {
+        if (!f.startsWith(prefix) || !f.endsWith(suffix)) continue;
+        const mtime = fs.statSync(path.join(os.tmpdir(), f)).mtimeMs;
+        if (mtime > newest) {
+          newest = mtime;
+          sessionId = f.slice(prefix.length, f.length - suffix.length);
+        }
+      }
+    } catch {
+      // tmpdir unreadable — handled below
+    }
+  }
+  if (!sessionId || !fs.existsSync(sessionFile("attribution", sessionId))) {
+    fail("No tool attribution data found. Pass a session_id, or run some tool calls first.");
+  }
+
+  const attr = readAttribution(sessionId);
+  const { tools, targets } = topConsumers(attr, 15);
+  const total = Object.values(attr.tools).reduce((sum, t) => sum + t.tokens, 0);
+  info(`Session ${sessionId} — ~${formatTokens(total)} tokens from tool responses`);
+  console.log();
+
+  console.log(`${C.bold}  ${"Tool".padEnd(20)} ${"Calls".padStart(6)} ${"~Tokens".padStart(9)} ${"Share".padStart(6)}${C.reset}`);
+  for (const t of tools) {
+    const share = total > 0 ? `${Math.round((t.tokens / total) * 100)}%` : "-";
+    console.log(`  ${t.name.padEnd(20)} ${String(t.calls).padStart(6)} ${formatTokens(t.tokens).padStart(9)} ${share.padStart(6)}`);
+  }
+  console.log();
+
+  console.log(`${C.bold}  ${"Tool".padEnd(10)} ${"Calls".padStart(6)} ${"~Tokens".padStart(9)}  Target${C.reset}`);
+  for (const e of targets) {
+    const repeat = e.calls > 1 && e.tool === "Read" ? `${C.yellow}  (re-read ×${e.calls})${C.reset}` : "";
+    console.log(`  ${e.tool.padEnd(10)} ${String(e.calls).padStart(6)} ${formatTokens(e.tokens).padStart(9)}  ${e.target}${repeat}`);
+  }
+  console.log();
+  process.exit(0);
+}
+
+// ═════════════════════════════════════════════════════════════════════
+// SESSIONS DASHBOARD
+// ═════════════════════════════════════════════════════════════════════
+if (FLAG === "--sessions") {
+  const { listSessions, SORT_KEYS } = require(path.join(HOOKS_SRC, "context-lib", "sessions.cjs"));
+  const { MIN_IDLE_MS } = require(path.join(HOOKS_SRC, "context-lib", "gc.cjs"));
+  const { formatTokens } = require(path.join(HOOKS_SRC, "context-lib", "history.cjs"));
+
+  const asJson = args.includes("--json");
+  const sort = takeOption("--sort") || "pct";
+  if (!SORT_KEYS[sort]) fail(`Unknown --sort "${sort}" — expected ${Object.keys(SORT_KEYS).join(", ")}`);
+
+  // --watch [seconds]: redraw until interrupted
+  const watchAt = args.indexOf("--watch");
+  const watchArg = watchAt >= 0 ? args[watchAt + 1] : undefined;
+  const watchSeconds = watchAt < 0 ? 0 : /^\d+(\.\d+)?$/.test(watchArg || "") ? Number(watchArg) : 2;
+  if (watchAt >= 0 && !(watchSeconds > 0)) fail(`Invalid --watch interval "${watchArg}"`);
+
+  // Sessions idle longer than gc's floor have most likely ended
+  const maxAgeMs = args.includes("--all") ? Infinity : MIN_IDLE_MS;
+
+  const render = () => {
+    const { config } = loadConfig({ cwd: process.cwd() });
+    const rows = listSessions({
+      maxAgeMs,
+      sort,
+      targetPct: config.thresholds.critical,
+      windowTurns: config.history.windowTurns,
+    });
+
+    if (asJson) {
+      // One document per refresh — one line each when watching
+      return JSON.stringify({ generated: new Date().toISOString(), sessions: rows }, null, watchSeconds ? 0 : 2);
+    }
+
+    const { warnAt, criticalAt } = config.statusLine;
+    const tierColor = (pct) => (pct >= criticalAt ? C.red : pct >= warnAt ? C.yellow : C.green);
+    const lines = [];
+    lines.push(`${C.bold}${C.cyan}Context Hooks — Sessions${C.reset}  ${new Date().toLocaleTimeString()}`);
+    lines.push("═".repeat(40));
+    if (rows.length === 0) {
+      lines.push(`${C.cyan}[INFO]${C.reset}  No ${maxAgeMs === Infinity ? "" : "active "}sessions in ${os.tmpdir()}`);
+      return lines.join("\n");
+    }
+
+    const cells = rows.map((r) => ({
+      pct: r.used_pct,
+      cols: [
+        r.session_id.slice(0, 8),
+        r.model,
+        r.cwd ? path.basename(r.cwd) : "-",
+        `${Math.round(r.used_pct)}%`,
+        `${formatTokens(r.used_tokens)}/${formatTokens(r.window_size)}`,
+        `$${r.cost_usd.toFixed(2)}`,
+        String(r.tool_calls),
+        String(r.turn),
+        r.turns_left === null ? "-" : r.turns_left === 0 ? "now" : `~${r.turns_left}`,
+        formatAge(r.age_ms),
+      ],
+    }));
+    const headers = ["Session", "Model", "Dir", "Ctx", "Tokens", "Cost", "Tools", "Turn", `To ${config.thresholds.critical}%`, "Updated"];
+    const right = [false, false, false, true, true, true, true, true, true, true];
+    const widths = headers.map((h, i) => Math.max(h.length, ...cells.map((c) => c.cols[i].length)));
+    const pad = (s, i) => (right[i] ? s.padStart(widths[i]) : s.padEnd(widths[i]));
+
+    lines.push(`${C.bold}  ${headers.map(pad).join("  ")}${C.reset}`);
+    for (const c of cells) {
+      const cols = c.cols.map(pad);
+      cols[3] = `${tierColor(c.pct)}${C.bold}${cols[3]}${C.reset}`;
+      lines.push(`  ${cols.join("  ")}`);
+    }
+    const critical = rows.filter((r) => r.used_pct >= criticalAt).length;
+    lines.push("");
+    lines.push(`${C.cyan}[INFO]${C.reset}  ${rows.length} session(s)${critical ? `, ${C.red}${critical} at ${criticalAt}%+${C.reset}` : ""}`);
+    return lines.join("\n");
+  };
+
+  if (!watchSeconds) {
+    console.log(asJson ? render() : `\n${render()}\n`);
+    process.exit(0);
+  }
+
+  // Synchronous sleep between redraws; Ctrl-C ends the loop. Writes are
+  // synchronous too — stdout is async on Windows consoles and macOS pipes
+  // and would never flush while the loop blocks.
+  const tick = new Int32Array(new SharedArrayBuffer(4));
+  for (;;) {
+    const out = render();
+    fs.writeSync(1, asJson
+      ? `${out}\n`
+      : `\x1b[2J\x1b[H${out}\n\n${C.cyan}[INFO]${C.reset}  Refreshing every ${watchSeconds}s — Ctrl-C to stop\n`);
+    Atomics.wait(tick, 0, 0, watchSeconds * 1000);
+  }
+}
+
+// ═════════════════════════════════════════════════════════════════════
+// ANALYTICS REPORT
+// ═════════════════════════════════════════════════════════════════════
+if (FLAG === "--report") {
+  const { readRecords, aggregate, GROUPS, ANALYTICS_LOG } = require(
+    path.join(HOOKS_SRC, "context-lib", "analytics.cjs")
+  );
+  const { parseDuration } = require(path.join(HOOKS_SRC, "context-lib", "gc.cjs"));
+
+  const asJson = args.includes("--json");
+  const by = takeOption("--by");
+  if (by !== null && !GROUPS[by]) fail(`Unknown --by "${by}" — expected ${Object.keys(GROUPS).join(", ")}`);
+  const since = takeOption("--since");
+  let sinceMs = 0;
+  if (since !== null) {
+    const ms = parseDuration(since);
+    if (ms === null) fail(`Invalid --since "${since}" — use e.g. 7d, 4w or 90d`);
+    sinceMs = Date.now() - ms;
+  }
+
+  const records = readRecords({ sinceMs });
+  const dimensions = by ? [by] : Object.keys(GROUPS);
+  const tables = {};
+  for (const d of dimensions) tables[d] = aggregate(records, d);
+
+  if (asJson) {
+    console.log(JSON.stringify({ sessions: records.length, since: sinceMs ? new Date(sinceMs).toISOString() : null, ...tables }, null, 2));
+    process.exit(0);
+  }
+
+  console.log();
+  console.log(`${C.bold}${C.cyan}Context Hooks — Session report${C.reset}`);
+  console.log("═".repeat(40));
+  if (records.length === 0) {
+    info(`No session summaries${since ? ` in the last ${since}` : ""} in ${ANALYTICS_LOG}`);
+    info("  One is recorded when a session ends (analytics.enabled).");
+    console.log();
+    process.exit(0);
+  }
+  info(`${records.length} session(s)${since ? ` in the last ${since}` : ""} — ${ANALYTICS_LOG}`);
+
+  const { critical } = loadConfig({ cwd: process.cwd() }).config.thresholds;
+  const headers = ["Sessions", "Median peak", "Hit critical", "$/session", "Total $", "Tools/session", "Compactions"];
+  for (const d of dimensions) {
+    const rows = tables[d].map((r) => [
+      r.group,
+      String(r.sessions),
+      `${Math.round(r.median_peak_pct)}%`,
+      `${Math.round(r.critical_rate * 100)}%`,
+      `$${r.avg_cost_usd.toFixed(2)}`,
+      `$${r.total_cost_usd.toFixed(2)}`,
+      String(Math.round(r.avg_tool_calls)),
+      r.avg_compactions.toFixed(1),
+    ]);
+    const title = d[0].toUpperCase() + d.slice(1);
+    const widths = [title, ...headers].map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+    const pad = (cols) => cols.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i])));
+
+    console.log();
+    console.log(`${C.bold}  ${pad([title, ...headers]).join("  ")}${C.reset}`);
+    for (const [i, r] of rows.entries()) {
+      const cols = pad(r);
+      // Most sessions in this group ran into the wall
+      if (tables[d][i].critical_rate >= 0.5) cols[3] = `${C.red}${cols[3]}${C.reset}`;
+      console.log(`  ${cols.join("  ")}`);
+    }
+  }
+  console.log();
+  info(`"Hit critical" = usage reached the critical threshold (currently ${critical}%) at least once.`);
+  console.log();
+  process.exit(0);
+}
+
+// ═════════════════════════════════════════════════════════════════════
+// METRICS EXPORT
+// ═════════════════════════════════════════════════════════════════════
+if (FLAG === "--metrics") {
+  const { renderMetrics, exportMetrics, metricsFile, FORMATS } = require(
+    path.join(HOOKS_SRC, "context-lib", "metrics.cjs")
+  );
+  const { listSessions } = require(path.join(HOOKS_SRC, "context-lib", "sessions.cjs"));
+  const { MIN_IDLE_MS } = require(path.join(HOOKS_SRC, "context-lib", "gc.cjs"));
+
+  const { config } = loadConfig({ cwd: process.cwd() });
+  const format = takeOption("--format") || config.metrics.format;
+  if (!FORMATS.includes(format)) fail(`Unknown --format "${format}" — expected ${FORMATS.join(", ")}`);
+
+  if (!args.includes("--write")) {
+    process.stdout.write(renderMetrics(listSessions({ maxAgeMs: MIN_IDLE_MS }), format));
+    process.exit(0);
+  }
+  const file = exportMetrics({ ...config, metrics: { ...config.metrics, format } }, { force: true });
+  if (!file) fail(`Could not write ${metricsFile(config.metrics)}`);
+  ok(`Wrote ${file}`);
+  if (!config.metrics.enabled) info('  Set "metrics": { "enabled": true } to keep it updated from the status line.');
+  process.exit(0);
+}
+
+// ═════════════════════════════════════════════════════════════════════
+// THRESHOLD ACTIONS
+// ═════════════════════════════════════════════════════════════════════
+if (FLAG === "--test-actions") {
+  const { eventPayload, runAction, commandsFor } = require(path.join(HOOKS_SRC, "context-lib", "actions.cjs"));
+  const { ACTION_EVENTS, USER_CONFIG } = require(path.join(HOOKS_SRC, "context-lib", "config.cjs"));
+  const { DEFAULT_WINDOW } = require(path.join(HOOKS_SRC, "context-lib", "models.cjs"));
+
+  const event = args[1] && !args[1].startsWith("--") ? args[1] : "critical";
+  if (!ACTION_EVENTS.includes(event)) fail(`Unknown event "${event}" — expected ${ACTION_EVENTS.join(", ")}`);
+
+  console.log();
+  console.log(`${C.bold}${C.cyan}Context Hooks — Actions for "${event}"${C.reset}`);
+  console.log("═".repeat(40));
+  const { config, errors } = loadConfig({ cwd: process.cwd() });
+  for (const e of errors) warn(e);
+  const commands = commandsFor(event, config.actions.commands);
+  if (commands.length === 0) {
+    info(`No actions.commands for "${event}" in ${USER_CONFIG}`);
+    console.log();
+    process.exit(0);
+  }
+
+  // A made-up session at the event's threshold
+  const { thresholds } = config;
+  const pct = thresholds[event] ?? thresholds.critical;
+  const tier = ["moderate", "warning", "critical"].includes(event) ? event : "critical";
+  const bridge = {
+    session_id: "00000000-0000-4000-8000-000000000000",
+    cwd: process.cwd(),
+    model: "Claude",
+    model_id: "",
+    used_pct: pct,
+    window_size: DEFAULT_WINDOW,
+    usable_tokens: DEFAULT_WINDOW,
+    tier,
+    cost_usd: 1.5,
+    compactions: event === "compaction" ? 1 : 0,
+    timestamp: new Date().toISOString(),
+  };
+  const level = event.startsWith("budget_") ? event.slice("budget_".length) : null;
+  const budget = level && { level, scope: "session", spent: 1.5, limit: 2, pct: 75 };
+  const payload = eventPayload(event, bridge, { used_tokens: Math.round((pct / 100) * DEFAULT_WINDOW) }, budget);
+  info(`Payload on stdin: ${JSON.stringify(payload)}`);
+
+  let failed = 0;
+  for (const command of commands) {
+    const res = runAction(command, payload, config.actions.timeoutMs);
+    if (res.timedOut) warn(`${command} — killed after ${config.actions.timeoutMs}ms`);
+    else if (res.error) warn(`${command} — ${res.error}`);
+    else if (res.status !== 0) warn(`${command} — exit code ${res.status}`);
+    else ok(command);
+    if (res.timedOut || res.error || res.status !== 0) failed++;
+  }
+  console.log();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// ═════════════════════════════════════════════════════════════════════
+// GARBAGE COLLECTION
+// ═════════════════════════════════════════════════════════════════════
+if (FLAG === "--gc") {
+  const { collectGarbage, parseDuration, DAY_MS, MIN_IDLE_MS } = require(
+    path.join(HOOKS_SRC, "context-lib", "gc.cjs")
+  );
+
+  console.log();
+  console.log(`${C.bold}${C.cyan}Context Hooks — Garbage collection${C.reset}`);
+  console.log("═".repeat(40));
+
+  const dryRun = args.includes("--dry-run");
+  const olderThan = takeOption("--older-than");
+  let maxAgeMs = loadConfig({ cwd: process.cwd() }).config.gc.maxAgeDays * DAY_MS;
+  if (olderThan !== null) {
+    maxAgeMs = parseDuration(olderThan);
+    if (maxAgeMs === null) fail(`Invalid --older-than "${olderThan}" — use e.g. 12h, 7d or 2w`);
+  }
+  if (maxAgeMs < MIN_IDLE_MS) {
+    warn(`Sessions active in the last ${MIN_IDLE_MS / 3600000}h are never collected — using that instead`);
+  }
+
+  const { removed, kept } = collectGarbage({ maxAgeMs, dryRun });
+  for (const s of removed) {
+    const idle = s.lastActive ? `idle ${formatAge(Date.now() - s.lastActive)}` : "no activity recorded";
+    const what = [...s.files, ...s.dirs].map((f) => path.basename(f)).join(", ");
+    (dryRun ? info : ok)(`${dryRun ? "Would remove" : "Removed"} ${s.sessionId} (${idle}): ${what}`);
+  }
+  console.log();
+  info(`${removed.length} orphaned session(s) ${dryRun ? "to remove" : "removed"}, ${kept.length} recent session(s) kept`);
+  process.exit(0);
+}
+
+// ═════════════════════════════════════════════════════════════════════
+// DOCTOR
+// ═════════════════════════════════════════════════════════════════════
+if (FLAG === "--doctor") {
+  const asJson = args.includes("--json");
+  const checks = [];
+  const check = (status, name, detail, fix = "") => checks.push({ status, name, detail, fix });
+  const setupCmd = `node ${path.join(SCRIPT_DIR, "setup.js")}`;
+
+  // ── Node.js ───────────────────────────────────────────────────────
+  const major = Number(process.versions.node.split(".")[0]);
+  if (major >= 18) check("pass", "Node.js", process.version);
+  else if (major >= 14) check("warn", "Node.js", `${process.version} — Claude Code needs 18+`, "Upgrade Node.js");
+  else check("fail", "Node.js", `${process.version} — hooks need 14+`, "Upgrade Node.js");
+
+  // ── Installed scripts vs. this release ───────────────────────────
+  let current = 0;
+  const anyInstalled = HOOK_FILES.some((f) => fs.existsSync(path.join(HOOKS_DST, f)));
+  if (!anyInstalled) check("fail", "Hook scripts", `not installed in ${HOOKS_DST}`, setupCmd + SCOPE_ARG);
+  for (const f of anyInstalled ? HOOK_FILES : []) {
     const dst = path.join(HOOKS_DST, f);
-    if (fs.existsSync(dst)) {
-      fs.unlinkSync(dst);
-      ok(`Removed ${dst}`);
+    const installed = classifyInstalled(f, dst, fs.readFileSync(path.join(HOOKS_SRC, f), "utf8"));
+    if (installed.status === "current") current++;
+    else if (installed.status === "missing") check("fail", f, `missing from ${HOOKS_DST}`, setupCmd + SCOPE_ARG);
+    else if (installed.status === "outdated") {
+      check("warn", f, `v${installed.version} installed, v${VERSION} available`, `${setupCmd} --update${SCOPE_ARG}`);
+    } else check("warn", f, "locally modified", `${setupCmd} --update${SCOPE_ARG} to review`);
+  }
+  if (current === HOOK_FILES.length) check("pass", "Hook scripts", `${current} files, v${VERSION}`);
+
+  // ── settings.json entries ────────────────────────────────────────
+  let settings = null;
+  const settingsName = path.basename(SETTINGS);
+  if (!fs.existsSync(SETTINGS)) {
+    check("fail", settingsName, `${SETTINGS} not found`, setupCmd + SCOPE_ARG);
+  } else {
+    try {
+      settings = readSettings().settings;
+      check("pass", settingsName, SETTINGS);
+    } catch (e) {
+      check("fail", settingsName, `can't be parsed: ${e.message}`, "Fix the syntax error, or --restore-backup");
     }
   }
 
-  // Clean temp files only if no Claude Code sessions are running
-  const tmpDir = os.tmpdir();
-  let tempFiles;
+  if (settings) {
+    const hooks = (settings.hooks && typeof settings.hooks === "object") ? settings.hooks : {};
+    for (const [eventName, ourEntries] of Object.entries(OUR_HOOKS)) {
+      const entries = Array.isArray(hooks[eventName]) ? hooks[eventName] : [];
+      for (const ourEntry of ourEntries) {
+        const key = hookKeys(ourEntry)[0];
+        const name = `${eventName} ${key}`;
+        const matches = entries.filter((e) => hookKeys(e).includes(key));
+        const legacy = matches.filter((e) => JSON.stringify(e).includes(`${key}.js`));
+        const expected = ourEntry.hooks[0].command;
+
+        if (matches.length === 0) {
+          check("fail", name, "not registered", setupCmd + SCOPE_ARG);
+          continue;
+        }
+        if (legacy.length > 0 && matches.length > legacy.length) {
+          check("fail", name, `legacy ${key}.js entry alongside ${key}.cjs — fires twice`, `${setupCmd} --update${SCOPE_ARG}`);
+          continue;
+        }
+        if (matches.length > 1) {
+          check("fail", name, `registered ${matches.length} times — fires on every one`, setupCmd + SCOPE_ARG);
+          continue;
+        }
+        if (legacy.length > 0) {
+          check("warn", name, `legacy ${key}.js entry`, `${setupCmd} --update${SCOPE_ARG}`);
+          continue;
+        }
+
+        const command = ((matches[0].hooks || [])[0] || {}).command || "";
+        const script = commandScript(command);
+        if (!script || !fs.existsSync(script)) {
+          check("fail", name, `points to a missing file: ${command}`, setupCmd + SCOPE_ARG);
+        } else if (SCOPE === "user" && !path.isAbsolute(script)) {
+          check("fail", name, `relative path only works from one directory: ${command}`, setupCmd + SCOPE_ARG);
+        } else if (command !== expected) {
+          check("warn", name, `differs from the expected command: ${command}`, setupCmd + SCOPE_ARG);
+        } else if ((matches[0].matcher || "") !== ourEntry.matcher) {
+          check("warn", name, `matcher "${matches[0].matcher}", expected "${ourEntry.matcher}"`, setupCmd + SCOPE_ARG);
+        } else {
+          check("pass", name, "registered once");
+        }
+      }
+    }
+
+    // Entries of ours under events we no longer register
+    for (const [eventName, entries] of Object.entries(hooks)) {
+      if (OUR_HOOKS[eventName] || !Array.isArray(entries)) continue;
+      if (entries.some(isOurEntry)) {
+        check("warn", `${eventName} hook`, "stale entry from an older version", `${setupCmd} --uninstall${SCOPE_ARG}, then reinstall`);
+      }
+    }
+
+    // ── statusLine ─────────────────────────────────────────────────
+    const sl = settings.statusLine;
+    if (!sl) {
+      check("fail", "statusLine", "not set — the bridge never runs, so hooks have no usage data", setupCmd + SCOPE_ARG);
+    } else if (!isOurStatusLine(sl)) {
+      check("fail", "statusLine", `set by another tool: ${JSON.stringify(sl).slice(0, 60)}`, `${setupCmd}${SCOPE_ARG} (chains it)`);
+    } else {
+      const script = commandScript(sl.command || "");
+      const displaced = readInstallState().displacedStatusLine;
+      if (!script || !fs.existsSync(script)) {
+        check("fail", "statusLine", `points to a missing file: ${sl.command}`, setupCmd + SCOPE_ARG);
+      } else if (/statusline-bridge\.js\b/.test(sl.command)) {
+        check("warn", "statusLine", "legacy statusline-bridge.js", `${setupCmd} --update${SCOPE_ARG}`);
+      } else if (displaced) {
+        check("pass", "statusLine", `ours, chaining: ${String(displaced.command).slice(0, 50)}`);
+      } else {
+        check("pass", "statusLine", "ours");
+      }
+    }
+  }
+
+  for (const other of otherScopeSettings()) {
+    check("warn", "Other scopes", `also installed in ${other.file} — every event fires twice`, `${setupCmd} --uninstall --scope ${other.scope}`);
+  }
+
+  // ── "type": "module" hazard ──────────────────────────────────────
+  // Our .cjs files are immune; legacy .js copies are loaded as ES modules
+  const pkg = nearestPackageJson(HOOKS_DST);
+  if (!pkg) {
+    check("pass", "package.json", "none governs the hooks directory");
+  } else if (pkg.type === "invalid") {
+    check("warn", "package.json", `${pkg.file} is not valid JSON — Node may refuse to load the hooks`, "Fix or remove it");
+  } else if (pkg.type !== "module") {
+    check("pass", "package.json", `${pkg.file} (CommonJS)`);
+  } else {
+    const legacy = HOOK_FILES
+      .map((f) => path.join(HOOKS_DST, f.replace(/\.cjs$/, ".js")))
+      .filter((f) => fs.existsSync(f));
+    const legacyRefs = settings && /(statusline-bridge|inject-context-on-\w+|session-cleanup)\.js\b/.test(JSON.stringify(settings));
+    if (legacyRefs) {
+      check("fail", "package.json", `${pkg.file} sets "type": "module" — legacy .js hooks crash on require()`, `${setupCmd} --update${SCOPE_ARG}`);
+    } else if (legacy.length > 0) {
+      check("warn", "package.json", `"type": "module" and leftover ${legacy.map((f) => path.basename(f)).join(", ")}`, `Delete them from ${HOOKS_DST}`);
+    } else {
+      check("pass", "package.json", `${pkg.file} sets "type": "module" — .cjs hooks unaffected`);
+    }
+  }
+
+  // ── Config ───────────────────────────────────────────────────────
+  const { errors: configErrors } = loadConfig({ cwd: process.cwd() });
+  if (configErrors.length === 0) check("pass", "Config", "valid");
+  for (const e of configErrors) check("warn", "Config", e, `${setupCmd} --check-config`);
+
+  // ── Temp directory ───────────────────────────────────────────────
+  const probe = path.join(os.tmpdir(), `claude-doctor-${process.pid}.tmp`);
+  try {
+    fs.writeFileSync(probe, "ok");
+    fs.unlinkSync(probe);
+    check("pass", "Temp directory", `${os.tmpdir()} writable`);
+  } catch (e) {
+    check("fail", "Temp directory", `${os.tmpdir()} not writable: ${e.code || e.message}`, "Fix permissions or set TMPDIR");
+  }
+
+  // ── Bridge freshness ─────────────────────────────────────────────
+  const [bridgePrefix, bridgeSuffix] = SESSION_FILES.bridge;
+  const bridges = [];
   try {
-    tempFiles = fs.readdirSync(tmpDir).filter(
-      (f) => f.startsWith("claude-context-usage-") || f.startsWith("claude-tool-counter-")
-    );
+    for (const f of fs.readdirSync(os.tmpdir())) {
+      if (!f.startsWith(bridgePrefix) || !f.endsWith(bridgeSuffix)) continue;
+      const file = path.join(os.tmpdir(), f);
+      bridges.push({ file, mtime: fs.statSync(file).mtimeMs });
+    }
   } catch {
-    tempFiles = [];
+    // Reported by the temp directory check
+  }
+  bridges.sort((a, b) => b.mtime - a.mtime);
+  if (bridges.length === 0) {
+    check("warn", "Bridge data", "no bridge files — the status line has not run yet", "Restart Claude Code and send a prompt");
+  } else {
+    const newest = bridges[0];
+    const age = formatAge(Date.now() - newest.mtime);
+    let valid = true;
+    try {
+      JSON.parse(fs.readFileSync(newest.file, "utf8"));
+    } catch {
+      valid = false;
+    }
+    if (!valid) {
+      check("warn", "Bridge data", `${path.basename(newest.file)} is not valid JSON`, "Harmless once the status line next fires");
+    } else if (Date.now() - newest.mtime > 60 * 60 * 1000) {
+      check("warn", "Bridge data", `newest is ${age} old (${bridges.length} session(s)) — fine if no session is running`, "Otherwise check that the statusLine runs: claude --debug");
+    } else {
+      check("pass", "Bridge data", `updated ${age} ago (${bridges.length} session(s))`);
+    }
   }
 
-  if (tempFiles.length > 0) {
-    warn(`Found ${tempFiles.length} temp file(s) — skipping (may belong to active sessions).`);
-    warn(`  To remove manually: rm ${path.join(tmpDir, "claude-context-usage-*")} ${path.join(tmpDir, "claude-tool-counter-*")}`);
+  // ── Report ───────────────────────────────────────────────────────
+  const failed = checks.filter((c) => c.status === "fail").length;
+  const warned = checks.filter((c) => c.status === "warn").length;
+  if (asJson) {
+    console.log(JSON.stringify({
+      version: VERSION,
+      scope: SCOPE,
+      settings: SETTINGS,
+      hooksDir: HOOKS_DST,
+      ok: failed === 0,
+      checks,
+    }, null, 2));
+    process.exit(failed > 0 ? 1 : 0);
   }
 
   console.log();
-  warn("settings.json was NOT modified — remove hook entries manually.");
-  warn("  Keys to remove: hooks.UserPromptSubmit, hooks.PostToolUse,");
-  warn("  hooks.SessionStart, hooks.SessionEnd, and statusLine.");
+  console.log(`${C.bold}${C.cyan}Context Hooks — Doctor${C.reset}`);
+  console.log("═".repeat(40));
+  info(`Scope ${SCOPE}: ${SETTINGS}`);
+  console.log();
+  const label = { pass: `${C.green}PASS${C.reset}`, warn: `${C.yellow}WARN${C.reset}`, fail: `${C.red}FAIL${C.reset}` };
+  const width = Math.max(...checks.map((c) => c.name.length));
+  for (const c of checks) {
+    console.log(`  ${label[c.status]}  ${c.name.padEnd(width)}  ${c.detail}`);
+    if (c.fix && c.status !== "pass") console.log(`        ${" ".repeat(width)}  → ${c.fix}`);
+  }
   console.log();
+  info(`${checks.length - failed - warned} passed, ${warned} warning(s), ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
 
-  // Find latest backup
+// ═════════════════════════════════════════════════════════════════════
+// UNINSTALL
+// ═════════════════════════════════════════════════════════════════════
+if (FLAG === "--uninstall") {
+  console.log();
+  console.log(`${C.bold}${C.cyan}Context Hooks — Uninstall${C.reset}`);
+  console.log("═".repeat(40));
+
+  const sharing = otherScopeSettings().filter((o) => path.dirname(o.file) === CLAUDE_DIR);
+
+  // ── Strip our entries from settings.json ─────────────────────────
+  // First, so that settings we can't parse — or a declined change —
+  // never leave hooks registered whose scripts are gone
+  let settingsFile;
   try {
-    const backups = fs.readdirSync(CLAUDE_DIR)
-      .filter((f) => f.startsWith("settings.json.bak."))
-      .sort()
-      .reverse();
-    if (backups.length > 0) {
-      info(`Latest backup: ${path.join(CLAUDE_DIR, backups[0])}`);
+    settingsFile = readSettings();
+  } catch (e) {
+    fail(`${SETTINGS} can't be parsed (${e.message}) — nothing was changed. Fix it, or --restore-backup, and re-run.`);
+  }
+
+  if (settingsFile.raw !== null) {
+    const { raw, settings } = settingsFile;
+    let changed = false;
+
+    if (settings.hooks && typeof settings.hooks === "object") {
+      for (const [eventName, entries] of Object.entries(settings.hooks)) {
+        if (!Array.isArray(entries)) continue;
+        const kept = entries.filter((e) => !isOurEntry(e));
+        if (kept.length === entries.length) continue;
+        changed = true;
+        if (kept.length > 0) {
+          settings.hooks[eventName] = kept;
+          ok(`Removed ${eventName} hook (${kept.length} other entr${kept.length === 1 ? "y" : "ies"} kept)`);
+        } else {
+          delete settings.hooks[eventName];
+          ok(`Removed ${eventName} hook`);
+        }
+      }
+      if (Object.keys(settings.hooks).length === 0) delete settings.hooks;
     }
-  } catch {
-    // No backups
+
+    if (settings.statusLine && isOurStatusLine(settings.statusLine)) {
+      changed = true;
+      const displaced = readInstallState().displacedStatusLine;
+      if (displaced) {
+        settings.statusLine = displaced;
+        ok(`Restored previous statusLine: ${JSON.stringify(displaced).slice(0, 80)}`);
+      } else {
+        delete settings.statusLine;
+        ok("Removed statusLine config");
+      }
+    }
+
+    if (!changed) {
+      info(`${path.basename(SETTINGS)} has no entries of ours — unchanged`);
+    } else if (!saveSettings(raw, settings) && !DRY_RUN) {
+      warn("Uninstall cancelled — hook scripts left in place");
+      process.exit(1);
+    }
+  }
+
+  // ── Remove the scripts ──────────────────────────────────────────
+  // Project and local scope share <repo>/.claude/hooks — keep the
+  // scripts while the sibling settings file still runs them
+  if (sharing.length > 0) {
+    info(`Keeping ${HOOKS_DST} — still used by ${sharing.map((o) => o.scope).join(", ")} scope`);
+  } else {
+    // Current files plus anything an older version recorded in the manifest
+    const installedFiles = new Set([
+      ...HOOK_FILES,
+      ...Object.keys(readInstallState().files || {}),
+    ]);
+    for (const f of installedFiles) {
+      const dst = path.join(HOOKS_DST, f);
+      if (fs.existsSync(dst) && DRY_RUN) {
+        info(`Would remove ${dst}`);
+      } else if (fs.existsSync(dst)) {
+        fs.unlinkSync(dst);
+        ok(`Removed ${dst}`);
+      }
+    }
+    if (!DRY_RUN) {
+      try {
+        fs.rmdirSync(path.join(HOOKS_DST, "context-lib")); // only if now empty
+      } catch {
+        // Not empty or never created
+      }
+    }
+  }
+
+  if (DRY_RUN) {
+    console.log();
+    info("Dry run — nothing was changed. Run again without --dry-run to apply.");
+    process.exit(0);
+  }
+
+  if (sharing.length === 0) {
+    try {
+      fs.unlinkSync(INSTALL_STATE);
+    } catch {
+      // Never written
+    }
+  }
+
+  // Collect orphaned session files; recent ones may belong to running sessions
+  const { collectGarbage, DAY_MS } = require(path.join(HOOKS_SRC, "context-lib", "gc.cjs"));
+  const { removed, kept } = collectGarbage({
+    maxAgeMs: loadConfig({ cwd: process.cwd() }).config.gc.maxAgeDays * DAY_MS,
+  });
+  if (removed.length > 0) ok(`Removed files of ${removed.length} orphaned session(s)`);
+
+  if (kept.length > 0) {
+    const tmpDir = os.tmpdir();
+    warn(`Found files of ${kept.length} recent session(s) — skipping (may be active).`);
+    warn(`  Once those sessions have ended: node ${path.join(SCRIPT_DIR, "setup.js")} --gc --older-than 1h`);
+    warn(`  Or remove manually: rm ${sessionFilePrefixes().map((p) => path.join(tmpDir, `${p}*`)).join(" ")}`);
+  }
+
+  console.log();
+  const backups = listBackups();
+  if (backups.length > 0) {
+    info(`Latest backup: ${backups[0].path}`);
+    info(`  To roll back: node ${path.join(SCRIPT_DIR, "setup.js")} --restore-backup ${backups[0].stamp}${SCOPE_ARG}`);
   }
   process.exit(0);
 }
 
+// ═════════════════════════════════════════════════════════════════════
+// BACKUPS
+// ═════════════════════════════════════════════════════════════════════
+if (FLAG === "--list-backups") {
+  console.log();
+  console.log(`${C.bold}${C.cyan}Context Hooks — settings.json backups${C.reset}`);
+  console.log("═".repeat(40));
+
+  const backups = listBackups();
+  if (backups.length === 0) {
+    info(`No backups in ${CLAUDE_DIR}`);
+  }
+  for (const b of backups) {
+    const size = `${(fs.statSync(b.path).size / 1024).toFixed(1)} KB`;
+    console.log(`  ${b.stamp.padEnd(24)} ${size.padStart(9)}  ${b.path}`);
+  }
+  console.log();
+  process.exit(0);
+}
+
+if (FLAG === "--restore-backup") {
+  console.log();
+  console.log(`${C.bold}${C.cyan}Context Hooks — Restore settings.json${C.reset}`);
+  console.log("═".repeat(40));
+
+  const backups = listBackups();
+  const wanted = args[1];
+  const backup = wanted ? backups.find((b) => b.stamp.startsWith(wanted)) : backups[0];
+  if (!backup) {
+    fail(wanted
+      ? `No backup matching "${wanted}" — see: node setup.js --list-backups`
+      : `No backups in ${CLAUDE_DIR}`);
+  }
+
+  // Keep the current file restorable too
+  if (fs.existsSync(SETTINGS)) {
+    ok(`Backed up current settings → ${backupSettings()}`);
+  }
+  fs.copyFileSync(backup.path, SETTINGS);
+  ok(`Restored ${SETTINGS} from ${backup.path}`);
+  console.log();
+  process.exit(0);
+}
+
 // ═════════════════════════════════════════════════════════════════════
 // INSTALL
 // ═════════════════════════════════════════════════════════════════════
@@ -111,6 +963,7 @@ console.log(`${C.bold}${C.cyan}Context Hooks for Claude Code${C.reset}`);
 console.log("═".repeat(40));
 console.log("Makes Opus 4.6 aware of its context window usage");
 console.log(`Platform: ${os.platform()} (${os.arch()})`);
+console.log(`Scope:    ${SCOPE}${PROJECT_DIR ? ` (${PROJECT_DIR})` : ""}`);
 console.log();
 
 // ── Step 1: Prerequisites ──────────────────────────────────────────
@@ -121,11 +974,27 @@ if (FLAG !== "--test") {
   ok(`Node.js ${process.version}`);
 
   if (!fs.existsSync(CLAUDE_DIR)) {
-    warn("~/.claude/ doesn't exist — creating it...");
-    fs.mkdirSync(CLAUDE_DIR, { recursive: true });
+    warn(`${CLAUDE_DIR} doesn't exist — ${DRY_RUN ? "would create it" : "creating it..."}`);
+    if (!DRY_RUN) fs.mkdirSync(CLAUDE_DIR, { recursive: true });
   }
   ok(`${CLAUDE_DIR} exists`);
 
+  // Before anything is copied: settings we can't parse are never
+  // overwritten, and the install stops here rather than half-way
+  let settingsFile;
+  try {
+    settingsFile = readSettings();
+  } catch (e) {
+    fail(`${SETTINGS} can't be parsed (${e.message}) — nothing was changed. Fix it, or --restore-backup, and re-run.`);
+  }
+  ok(settingsFile.raw === null ? `${path.basename(SETTINGS)} will be created` : `${path.basename(SETTINGS)} parsed`);
+
+  const { errors: configErrors } = loadConfig({ cwd: process.cwd() });
+  if (configErrors.length > 0) {
+    for (const e of configErrors) warn(e);
+    warn("  Invalid values fall back to defaults. Details: node setup.js --check-config");
+  }
+
   // ── Step 2: Verify source scripts ────────────────────────────────
   info("Step 2/5 — Verifying source scripts...");
 
@@ -137,129 +1006,129 @@ if (FLAG !== "--test") {
   }
   ok(`All hook scripts found in ${HOOKS_SRC}/`);
 
-  // ── Step 3: Copy scripts (skip existing) ──────────────────────────
-  info("Step 3/5 — Installing hook scripts...");
+  // ── Step 3: Copy scripts (skip existing unless --update) ─────────
+  info(`Step 3/5 — ${UPDATE ? "Updating" : "Installing"} hook scripts (v${VERSION})...`);
 
-  fs.mkdirSync(HOOKS_DST, { recursive: true });
-  for (const f of HOOK_FILES) {
-    const src = path.join(HOOKS_SRC, f);
-    const dst = path.join(HOOKS_DST, f);
+  if (DRY_RUN) {
+    for (const f of HOOK_FILES) {
+      const dst = path.join(HOOKS_DST, f);
+      const installed = classifyInstalled(f, dst, fs.readFileSync(path.join(HOOKS_SRC, f), "utf8"));
+      if (installed.status === "missing") info(`Would install ${dst}`);
+      else if (installed.status === "outdated" && UPDATE) info(`Would update v${installed.version} → v${VERSION}: ${dst}`);
+      else if (installed.status !== "current") info(`Would skip (${installed.status}): ${dst}`);
+    }
+    info("Dry run — no scripts copied");
+  } else {
+    fs.mkdirSync(HOOKS_DST, { recursive: true });
+    const previous = readInstallState();
+    const prevFiles = previous.files || {};
+    const manifestFiles = {};
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+
+    for (const f of HOOK_FILES) {
+      const src = path.join(HOOKS_SRC, f);
+      const dst = path.join(HOOKS_DST, f);
+      fs.mkdirSync(path.dirname(dst), { recursive: true });
+      const source = fs.readFileSync(src, "utf8");
+      const installed = classifyInstalled(f, dst, source);
+
+      if (installed.status === "current") {
+        ok(`Already installed (v${VERSION}): ${dst}`);
+        manifestFiles[f] = { version: VERSION, sha256: sha256(source) };
+        continue;
+      }
+
+      if (installed.status === "outdated" && !UPDATE) {
+        warn(`Skipped — older version installed (v${installed.version}): ${dst}`);
+        warn(`  To upgrade: node ${path.join(SCRIPT_DIR, "setup.js")} --update${SCOPE_ARG}`);
+        if (prevFiles[f]) manifestFiles[f] = prevFiles[f];
+        continue;
+      }
+
+      if (installed.status === "modified") {
+        const choice = UPDATE ? resolveModified(dst) : "keep";
+        if (choice === "keep") {
+          warn(`Skipped — locally modified: ${dst}`);
+          warn(UPDATE
+            ? `  To replace it: --update --force${SCOPE_ARG} (your version is saved as .local-*)`
+            : `  To review: node ${path.join(SCRIPT_DIR, "setup.js")} --update${SCOPE_ARG}`);
+          if (prevFiles[f]) manifestFiles[f] = prevFiles[f];
+          continue;
+        }
+        if (choice === "new") {
+          writeStamped(`${dst}.new`, source);
+          warn(`Kept your version; v${VERSION} written to ${dst}.new`);
+          if (prevFiles[f]) manifestFiles[f] = prevFiles[f];
+          continue;
+        }
+        const saved = `${dst}.local-${stamp}`;
+        fs.copyFileSync(dst, saved);
+        info(`Saved your version → ${saved}`);
+      }
+
+      writeStamped(dst, source);
+      manifestFiles[f] = { version: VERSION, sha256: sha256(source) };
 
-    if (fs.existsSync(dst)) {
-      // Check if it's our file (same size) or something else
-      const srcStat = fs.statSync(src);
-      const dstStat = fs.statSync(dst);
-      if (srcStat.size === dstStat.size &&
-          fs.readFileSync(src, "utf8") === fs.readFileSync(dst, "utf8")) {
-        ok(`Already installed (identical): ${dst}`);
+      if (installed.status === "outdated") {
+        ok(`Updated v${installed.version} → v${VERSION}: ${dst}`);
+      } else if (installed.status === "modified") {
+        ok(`Replaced local version with v${VERSION}: ${dst}`);
       } else {
-        warn(`Skipped — file already exists and differs: ${dst}`);
-        warn(`  To update, remove it first, then re-run setup.`);
+        ok(`Installed ${dst}`);
       }
-      continue;
     }
 
-    fs.copyFileSync(src, dst);
-
-    // Make executable on Unix (no-op concept on Windows, but harmless)
-    try {
-      fs.chmodSync(dst, 0o755);
-    } catch {
-      // Windows doesn't support chmod — that's fine
+    // Files an older version installed that this one no longer ships
+    for (const f of Object.keys(prevFiles)) {
+      const dst = path.join(HOOKS_DST, f);
+      if (HOOK_FILES.includes(f) || !fs.existsSync(dst)) continue;
+      const stampInfo = readStamp(fs.readFileSync(dst, "utf8"));
+      const unmodified = stampInfo && sha256(stampInfo.body) === stampInfo.hash;
+      if (UPDATE && unmodified) {
+        fs.unlinkSync(dst);
+        ok(`Removed (no longer shipped): ${dst}`);
+      } else if (UPDATE) {
+        warn(`Left in place — no longer shipped but locally modified: ${dst}`);
+      } else {
+        warn(`Obsolete file from v${prevFiles[f].version}: ${dst} — run --update${SCOPE_ARG} to remove`);
+        manifestFiles[f] = prevFiles[f];
+      }
     }
 
-    ok(`Installed ${dst}`);
+    writeInstallState({
+      ...previous,
+      version: VERSION,
+      installedAt: new Date().toISOString(),
+      files: manifestFiles,
+    });
+    ok(`Wrote install manifest → ${INSTALL_STATE}`);
   }
 
   // ── Step 4: Update settings.json (non-destructive) ────────────────
   info("Step 4/5 — Updating settings.json...");
 
-  // Build absolute paths for hook commands
-  const bridgePath = path.join(HOOKS_DST, "statusline-bridge.cjs");
-  const promptPath = path.join(HOOKS_DST, "inject-context-on-prompt.cjs");
-  const toolPath = path.join(HOOKS_DST, "inject-context-on-tool.cjs");
-  const cleanupPath = path.join(HOOKS_DST, "session-cleanup.cjs");
-
-  // Our hook entries — each is one array element to append
-  const OUR_HOOKS = {
-    UserPromptSubmit: {
-      matcher: "",
-      hooks: [
-        {
-          type: "command",
-          command: `node "${promptPath}"`,
-          timeout: 5,
-        },
-      ],
-    },
-    PostToolUse: {
-      matcher: "",
-      hooks: [
-        {
-          type: "command",
-          command: `node "${toolPath}"`,
-          timeout: 5,
-        },
-      ],
-    },
-    SessionStart: {
-      matcher: "",
-      hooks: [
-        {
-          type: "command",
-          command:
-            'node -e "process.stdout.write(\'[Context tracking active. You will receive context window usage updates before each user message and every 5 tool calls. When usage exceeds 80%, suggest /compact. Be concise when above 60%.]\')"',
-          timeout: 5,
-        },
-      ],
-    },
-    SessionEnd: {
-      matcher: "",
-      hooks: [
-        {
-          type: "command",
-          command: `node "${cleanupPath}"`,
-          timeout: 5,
-        },
-      ],
-    },
-  };
+  // Parsed in step 1; edited in place so comments and formatting survive
+  const { raw: settingsRaw, settings } = settingsFile;
 
-  const ourStatusLine = {
-    type: "command",
-    command: `node "${bridgePath}"`,
-    padding: 0,
-  };
-
-  // Fingerprint: used to detect our hooks in existing config (avoids duplicates)
-  const OUR_MARKER = "claude-context-usage"; // substring present in all our hook commands
-
-  // Read existing settings (or start fresh)
-  let settings = {};
-  if (fs.existsSync(SETTINGS)) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
-    const backupPath = `${SETTINGS}.bak.${timestamp}`;
-    fs.copyFileSync(SETTINGS, backupPath);
-    ok(`Backed up settings → ${backupPath}`);
-
-    try {
-      settings = JSON.parse(fs.readFileSync(SETTINGS, "utf8"));
-    } catch {
-      warn("Existing settings.json was invalid JSON — starting fresh");
-      settings = {};
-    }
-  }
-
-  // ── statusLine: set only if absent, or update if ours ────────────
+  // ── statusLine: ours, chaining any other tool's command ──────────
   if (settings.statusLine) {
     const slStr = JSON.stringify(settings.statusLine);
-    if (slStr.includes(OUR_MARKER) || slStr.includes("statusline-bridge")) {
+    if (isOurStatusLine(settings.statusLine)) {
       // Ours — update in place (may be upgrading .js → .cjs)
       settings.statusLine = ourStatusLine;
       ok("Updated statusLine config (ours)");
+    } else if (settings.statusLine.type === "command" && settings.statusLine.command) {
+      // The bridge must run to feed the hooks: take the slot and run the
+      // other command from the bridge (statusLine.chain in the config)
+      if (!DRY_RUN) writeInstallState({ ...readInstallState(), displacedStatusLine: settings.statusLine });
+      settings.statusLine = ourStatusLine;
+      ok("Chained existing statusLine — the bridge runs it and shows its output");
+      info(`  Chained: ${slStr.slice(0, 80)}`);
+      info("  Placement and timeout: statusLine.chain in context-hooks.json; restored on uninstall");
     } else {
-      warn("statusLine already set by another tool — skipping");
+      warn("statusLine already set by another tool and not a command — skipping");
       warn(`  Existing: ${slStr.slice(0, 80)}...`);
+      warn("  Context tracking needs the bridge: remove that statusLine and re-run setup.");
     }
   } else {
     settings.statusLine = ourStatusLine;
@@ -271,47 +1140,61 @@ if (FLAG !== "--test") {
     settings.hooks = {};
   }
 
-  // Markers that identify our hooks (match both .js and .cjs)
-  const OUR_ENTRY_MARKERS = [
-    OUR_MARKER,
-    "statusline-bridge",
-    "inject-context-on-",
-    "session-cleanup",
-    "Context tracking active",
-  ];
-
-  function isOurEntry(entry) {
-    const s = JSON.stringify(entry);
-    return OUR_ENTRY_MARKERS.some((m) => s.includes(m));
-  }
-
-  for (const [eventName, ourEntry] of Object.entries(OUR_HOOKS)) {
+  for (const [eventName, ourEntries] of Object.entries(OUR_HOOKS)) {
     const existing = settings.hooks[eventName];
 
     if (!existing || !Array.isArray(existing)) {
       // No existing hooks for this event — set ours
-      settings.hooks[eventName] = [ourEntry];
-      ok(`Added ${eventName} hook`);
+      settings.hooks[eventName] = ourEntries;
+      ok(`Added ${eventName} hook${ourEntries.length > 1 ? "s" : ""}`);
       continue;
     }
 
-    // Find index of our existing entry (if any)
-    const ourIdx = existing.findIndex(isOurEntry);
+    const claimed = new Set();
+    for (const ourEntry of ourEntries) {
+      // Find index of our existing entry (if any)
+      const keys = hookKeys(ourEntry);
+      const ourIdx = existing.findIndex(
+        (e, i) => !claimed.has(i) && keys.some((k) => JSON.stringify(e).includes(k))
+      );
 
-    if (ourIdx >= 0) {
-      // Our entry exists — update in place
-      // Other tools' entries at other indices are untouched
-      existing[ourIdx] = ourEntry;
-      ok(`Updated ${eventName} hook (entry ${ourIdx + 1} of ${existing.length})`);
-    } else {
-      // Not present — append alongside other tools' hooks
-      existing.push(ourEntry);
-      ok(`Appended ${eventName} hook (${existing.length} total entries)`);
+      if (ourIdx >= 0) {
+        // Our entry exists — update in place
+        // Other tools' entries at other indices are untouched
+        existing[ourIdx] = ourEntry;
+        claimed.add(ourIdx);
+        ok(`Updated ${eventName} hook (entry ${ourIdx + 1} of ${existing.length})`);
+      } else {
+        // Not present — append alongside other tools' hooks
+        existing.push(ourEntry);
+        claimed.add(existing.length - 1);
+        ok(`Appended ${eventName} hook (${existing.length} total entries)`);
+      }
+    }
+
+    // Drop our entries that no current hook claims (renamed in a later version)
+    for (let i = existing.length - 1; i >= 0; i--) {
+      if (!claimed.has(i) && isOurEntry(existing[i])) {
+        existing.splice(i, 1);
+        ok(`Removed stale ${eventName} hook (entry ${i + 1})`);
+      }
     }
   }
 
-  fs.writeFileSync(SETTINGS, JSON.stringify(settings, null, 2) + "\n");
-  ok(`Wrote ${SETTINGS}`);
+  saveSettings(settingsRaw, settings);
+
+  // ── Same hooks installed at another scope fire twice ─────────────
+  for (const other of otherScopeSettings()) {
+    warn(`Our hooks are also installed in ${other.file} (${other.scope} scope)`);
+    warn("  Every event would inject context twice. Remove one installation:");
+    warn(`  node ${path.join(SCRIPT_DIR, "setup.js")} --uninstall --scope ${other.scope}`);
+  }
+
+  if (DRY_RUN) {
+    console.log();
+    info("Dry run — nothing was changed. Run again without --dry-run to apply.");
+    process.exit(0);
+  }
 }
 
 // ── Step 5: Smoke test ─────────────────────────────────────────────
@@ -319,6 +1202,11 @@ info("Step 5/5 — Smoke test...");
 console.log();
 
 const testSessionId = `test-${Date.now()}`;
+// Inherited by every hook run below: the fake sessions stay out of the
+// metrics textfile and never run the user's actions.commands or
+// displaced statusLine command
+process.env.CONTEXT_HOOKS_SMOKE_TEST = "1";
+
 const testJson = JSON.stringify({
   session_id: testSessionId,
   model: { display_name: "Opus 4.6" },
@@ -344,7 +1232,7 @@ try {
   const bridgeOut = runHook(path.join(hookDir, "statusline-bridge.cjs"), testJson);
   console.log(`  Output: ${bridgeOut}`);
 
-  const bridgeFile = path.join(os.tmpdir(), `claude-context-usage-${testSessionId}.json`);
+  const bridgeFile = sessionFile("bridge", testSessionId);
   if (fs.existsSync(bridgeFile)) {
     ok("Bridge file written successfully (session-scoped)");
     info(`  ${fs.readFileSync(bridgeFile, "utf8")}`);
@@ -382,18 +1270,205 @@ for (let i = 1; i <= 5; i++) {
       const toolData = JSON.parse(toolOut);
       ok(`  Call #${i}: ${toolData.hookSpecificOutput.additionalContext}`);
     } else {
-      info(`  Call #${i}: (skipped — not every-5th)`);
+      info(`  Call #${i}: (skipped — no checkpoint due)`);
     }
   } catch (e) {
     info(`  Call #${i}: (skipped)`);
   }
 }
-// Clean up test files (both counter and bridge)
+console.log();
+
+// Test PreToolUse budget guard (allows unless a hard budget is reached)
+info("Testing context-budget-guard.cjs...");
+try {
+  const guardOut = runHook(path.join(hookDir, "context-budget-guard.cjs"), JSON.stringify({
+    session_id: testSessionId,
+    tool_name: "Read",
+    cwd: process.cwd(),
+  }));
+  if (guardOut.trim()) {
+    warn(`Denied: ${JSON.parse(guardOut).hookSpecificOutput.permissionDecisionReason}`);
+  } else {
+    ok("Read allowed (no hard budget reached)");
+  }
+} catch (e) {
+  warn(`Budget guard test error: ${e.message}`);
+}
+console.log();
+
+// Test injection.format "json" with a budget warning: the additionalContext
+// must stay one JSON object, with the warning in its "budget" field
+info("Testing injection.format json with a budget warning...");
+const jsonProject = fs.mkdtempSync(path.join(os.tmpdir(), "claude-context-json-"));
+try {
+  fs.mkdirSync(path.join(jsonProject, ".claude"));
+  fs.writeFileSync(path.join(jsonProject, ".claude", "context-hooks.json"), JSON.stringify({
+    injection: { format: "json" },
+    budget: { sessionUsd: 0.5, dailyUsd: 0 }, // The bridge test spent $0.47
+  }));
+  try {
+    fs.unlinkSync(sessionFile("budgetState", testSessionId)); // Let the tool hook warn
+  } catch { /* Never warned */ }
+  const env = { ...process.env, CLAUDE_PROJECT_DIR: jsonProject };
+  for (const script of ["inject-context-on-prompt.cjs", "inject-context-on-tool.cjs"]) {
+    const out = runHook(path.join(hookDir, script), JSON.stringify({
+      session_id: testSessionId,
+      tool_name: "Read",
+      cwd: jsonProject,
+    }), env);
+    const report = JSON.parse(JSON.parse(out).hookSpecificOutput.additionalContext);
+    if (report.budget) ok(`  ${script}: one JSON object, budget ${report.budget.level} at ${report.budget.pct}%`);
+    else warn(`  ${script}: no "budget" field in ${JSON.stringify(report)}`);
+  }
+} catch (e) {
+  warn(`JSON format test error: ${e.message}`);
+}
+fs.rmSync(jsonProject, { recursive: true, force: true });
+console.log();
+
+// Test PreCompact → SessionStart (compact) notice + handoff
+info("Testing context-pre-compact.cjs → context-session-start.cjs...");
+const testTranscript = path.join(os.tmpdir(), `claude-transcript-${testSessionId}.jsonl`);
+try {
+  fs.writeFileSync(testTranscript, JSON.stringify({
+    type: "assistant",
+    message: { content: [{ type: "tool_use", name: "Read", input: { file_path: path.join(SCRIPT_DIR, "setup.js") } }] },
+  }) + "\n");
+  runHook(path.join(hookDir, "context-pre-compact.cjs"), JSON.stringify({
+    session_id: testSessionId,
+    transcript_path: testTranscript,
+    trigger: "manual",
+    cwd: process.cwd(),
+  }));
+  const startOut = runHook(path.join(hookDir, "context-session-start.cjs"), JSON.stringify({
+    session_id: testSessionId,
+    source: "compact",
+    cwd: process.cwd(),
+  }));
+  if (startOut.trim()) {
+    ok("Session start notice + handoff:");
+    for (const line of JSON.parse(startOut).hookSpecificOutput.additionalContext.split("\n")) {
+      info(`  ${line}`);
+    }
+  } else {
+    warn("Nothing was injected (model policy \"off\"?)");
+  }
+} catch (e) {
+  warn(`Handoff test error: ${e.message}`);
+}
+
+console.log();
+
+// Test the settings.json merge: adding our entry to a hook array another
+// tool uses keeps that tool's entry and its comment byte for byte, and
+// removing it again gives back the original file
+info("Testing the settings.json merge on a commented hook array...");
+try {
+  const before = [
+    "{",
+    '  "hooks": {',
+    '    "PostToolUse": [',
+    "      /* other tool */",
+    '      { "matcher": "Edit", "hooks": [{ "type": "command", "command": "fmt" }] }',
+    "    ]",
+    "  }",
+    "}",
+    "",
+  ].join("\n");
+  const merged = parseJsonc(before);
+  merged.hooks.PostToolUse.push(...OUR_HOOKS.PostToolUse);
+  const after = applyChanges(before, merged);
+  const removed = parseJsonc(after);
+  removed.hooks.PostToolUse = removed.hooks.PostToolUse.filter((e) => !isOurEntry(e));
+  const restored = applyChanges(after, removed);
+  if (after.includes(before.split("\n").slice(0, 5).join("\n")) && restored === before) {
+    ok("Other entries and comments kept; uninstall restores the file byte for byte");
+  } else {
+    warn(`Merged settings lost formatting:\n${after}`);
+  }
+} catch (e) {
+  warn(`Settings merge test error: ${e.message}`);
+}
+console.log();
+
+// Stress test: hooks of parallel tool calls run concurrently with status
+// line renders — no increment may be lost, no reader may see a torn file.
+// Spawns 60 processes, so only on request: --test --stress
+const STRESS_CALLS = 20;
+const stressSessionId = `${testSessionId}-stress`;
+if (args.includes("--stress")) {
+  info(`Stress test — ${STRESS_CALLS} concurrent tool calls, prompts and status line renders...`);
+  try {
+    const stressJson = JSON.stringify({ ...JSON.parse(testJson), session_id: stressSessionId });
+    runHook(path.join(hookDir, "statusline-bridge.cjs"), stressJson); // Bridge exists before the race
+
+    const jobs = [];
+    for (let i = 0; i < STRESS_CALLS; i++) {
+      jobs.push({
+        script: path.join(hookDir, "inject-context-on-tool.cjs"),
+        input: JSON.stringify({ session_id: stressSessionId, tool_name: "Read", tool_response: "x".repeat(400) }),
+      });
+      jobs.push({ script: path.join(hookDir, "statusline-bridge.cjs"), input: stressJson });
+      jobs.push({
+        script: path.join(hookDir, "inject-context-on-prompt.cjs"),
+        input: JSON.stringify({ session_id: stressSessionId }),
+      });
+    }
+    const results = runParallel(jobs);
+
+    const { readCounter } = require(path.join(HOOKS_SRC, "context-lib", "session-files.cjs"));
+    const { readAttribution } = require(path.join(HOOKS_SRC, "context-lib", "attribution.cjs"));
+    const failed = results.filter((r) => r.code !== 0).length;
+    const torn = results.filter((r) => r.out.includes("awaiting first status update")).length;
+    const toolCalls = readCounter("counter", stressSessionId);
+    const turns = readCounter("turnCounter", stressSessionId);
+    const attributed = (readAttribution(stressSessionId).tools.Read || {}).calls || 0;
+
+    if (failed > 0) warn(`${failed} of ${jobs.length} hook processes failed`);
+    if (torn > 0) warn(`${torn} prompt hook(s) read a missing or torn bridge file`);
+    for (const [what, n] of [["Tool counter", toolCalls], ["Turn counter", turns], ["Attributed calls", attributed]]) {
+      (n === STRESS_CALLS ? ok : warn)(`  ${what}: ${n} of ${STRESS_CALLS}`);
+    }
+    if (failed === 0 && torn === 0 && toolCalls === STRESS_CALLS && turns === STRESS_CALLS && attributed === STRESS_CALLS) {
+      ok(`No lost updates across ${jobs.length} concurrent hook runs`);
+    }
+  } catch (e) {
+    warn(`Stress test error: ${e.message}`);
+  }
+}
+
+// Clean up test files (bridge, counter and any other session state)
+const leftovers = fs.readdirSync(os.tmpdir())
+  .filter((f) => f.includes(testSessionId))
+  .map((f) => path.join(os.tmpdir(), f));
+for (const f of [...allSessionFiles(testSessionId), ...allSessionFiles(stressSessionId), ...leftovers, testTranscript]) {
+  try {
+    fs.unlinkSync(f);
+  } catch { /* Fine */ }
+}
 try {
-  fs.unlinkSync(path.join(os.tmpdir(), `claude-tool-counter-${testSessionId}`));
+  fs.rmSync(sessionStateDir(testSessionId), { recursive: true, force: true });
 } catch { /* Fine */ }
+// The bridge tests report a cost; take it back out of the real spend
+// ledger, under its lock — live sessions may have recorded spend meanwhile
 try {
-  fs.unlinkSync(path.join(os.tmpdir(), `claude-context-usage-${testSessionId}.json`));
+  const { LEDGER, readLedger, dayKey } = require(path.join(HOOKS_SRC, "context-lib", "budget.cjs"));
+  const { withLock, writeFileAtomic } = require(path.join(HOOKS_SRC, "context-lib", "atomic.cjs"));
+  const cleaned = withLock(LEDGER, () => {
+    const ledger = readLedger();
+    const test = [testSessionId, stressSessionId].filter((sid) => ledger.sessions[sid]);
+    if (test.length === 0) return true;
+    for (const sid of test) {
+      const day = dayKey(new Date(ledger.sessions[sid].updated));
+      const left = Math.round(((ledger.days[day] || 0) - ledger.sessions[sid].cost_usd) * 10000) / 10000;
+      if (left > 0) ledger.days[day] = left;
+      else delete ledger.days[day];
+      delete ledger.sessions[sid];
+    }
+    writeFileAtomic(LEDGER, JSON.stringify(ledger, null, 2));
+    return true;
+  }, false);
+  if (!cleaned) warn(`Spend ledger stayed locked — the smoke test's spend remains in ${LEDGER}`);
 } catch { /* Fine */ }
 
 // ── Done ───────────────────────────────────────────────────────────
@@ -411,16 +1486,403 @@ for (const f of HOOK_FILES) {
 }
 info(`  ${SETTINGS}`);
 console.log();
-info("To change the tool-call interval, edit EVERY_N in:");
-info(`  ${path.join(HOOKS_DST, "inject-context-on-tool.cjs")}`);
+info("To change thresholds or the tool-call interval, edit:");
+info(`  ${configFiles()[0]}  (or <project>/.claude/context-hooks.json)`);
 console.log();
-info(`To uninstall:  node ${path.join(SCRIPT_DIR, "setup.js")} --uninstall`);
+info(`To upgrade:    node ${path.join(SCRIPT_DIR, "setup.js")} --update${SCOPE_ARG}`);
+info(`To uninstall:  node ${path.join(SCRIPT_DIR, "setup.js")} --uninstall${SCOPE_ARG}`);
+if (SCOPE === "local") {
+  console.log();
+  info("Local scope: keep .claude/hooks/ and .claude/context-hooks/ out of git,");
+  info("or use --scope project to share the installation with the team.");
+}
 
 // ═════════════════════════════════════════════════════════════════════
 // HELPERS
 // ═════════════════════════════════════════════════════════════════════
 
-function runHook(scriptPath, stdinData) {
+// Remove "--name value" (or "--name=value") from args; returns the value
+function takeOption(name) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name && i + 1 < args.length) {
+      return args.splice(i, 2)[1];
+    }
+    if (args[i].startsWith(`${name}=`)) {
+      return args.splice(i, 1)[0].slice(name.length + 1);
+    }
+  }
+  return null;
+}
+
+// Repository root (git toplevel) containing dir, else dir itself
+function findProjectRoot(dir) {
+  try {
+    const { execSync } = require("child_process");
+    return execSync("git rev-parse --show-toplevel", {
+      cwd: dir,
+      encoding: "utf8",
+      timeout: 5000,
+      stdio: ["pipe", "pipe", "pipe"],
+    }).trim() || dir;
+  } catch {
+    return dir;
+  }
+}
+
+// Command that runs one of our scripts. User scope uses absolute paths;
+// project/local scope is relative to $CLAUDE_PROJECT_DIR. The status line
+// falls back to the cwd in case the variable isn't set for it. cmd.exe
+// only expands %VAR% and has no fallback syntax, so on Windows hooks use
+// %CLAUDE_PROJECT_DIR% and the status line the resolved path.
+function hookCommand(file, isStatusLine = false) {
+  if (SCOPE === "user") return `node "${path.join(HOOKS_DST, file)}"`;
+  if (process.platform === "win32") {
+    return isStatusLine ? `node "${path.join(HOOKS_DST, file)}"` : `node "%CLAUDE_PROJECT_DIR%\\.claude\\hooks\\${file}"`;
+  }
+  const base = isStatusLine ? "${CLAUDE_PROJECT_DIR:-.}" : "$CLAUDE_PROJECT_DIR";
+  return `node "${base}/.claude/hooks/${file}"`;
+}
+
+// Settings files of the other scopes that contain our hook entries
+function otherScopeSettings() {
+  const projectDir = PROJECT_DIR || findProjectRoot(process.cwd());
+  const candidates = [
+    { scope: "user", file: path.join(USER_CLAUDE_DIR, "settings.json") },
+    { scope: "project", file: path.join(projectDir, ".claude", "settings.json") },
+    { scope: "local", file: path.join(projectDir, ".claude", "settings.local.json") },
+  ];
+  const seen = new Set([path.resolve(SETTINGS)]);
+  const found = [];
+  for (const c of candidates) {
+    if (seen.has(path.resolve(c.file))) continue;
+    seen.add(path.resolve(c.file));
+    try {
+      const hooks = parseJsonc(fs.readFileSync(c.file, "utf8")).hooks || {};
+      const ours = Object.values(hooks).some((entries) => Array.isArray(entries) && entries.some(isOurEntry));
+      if (ours) found.push(c);
+    } catch {
+      // Missing or unreadable — nothing installed there
+    }
+  }
+  return found;
+}
+
+// Which of our hooks an entry is: its script name without extension
+// (so .js entries from older versions are updated in place)
+function hookKeys(entry) {
+  const m = JSON.stringify(entry).match(/([\w-]+)\.c?js\\?"/);
+  return m ? [m[1]] : [];
+}
+
+// Script a hook command runs, with $CLAUDE_PROJECT_DIR (or %CLAUDE_PROJECT_DIR%) expanded; null if
+// the command isn't `node "<path>"`
+function commandScript(command) {
+  const m = /^node\s+"([^"]+)"/.exec(command);
+  if (!m) return null;
+  const projectDir = PROJECT_DIR || findProjectRoot(process.cwd());
+  return m[1].replace(/\$\{CLAUDE_PROJECT_DIR(:-[^}]*)?\}|\$CLAUDE_PROJECT_DIR|%CLAUDE_PROJECT_DIR%/g, projectDir);
+}
+
+// Nearest package.json above dir: {file, type}, or null
+function nearestPackageJson(dir) {
+  for (let d = path.resolve(dir); ; d = path.dirname(d)) {
+    const file = path.join(d, "package.json");
+    if (fs.existsSync(file)) {
+      try {
+        return { file, type: JSON.parse(fs.readFileSync(file, "utf8")).type || "commonjs" };
+      } catch {
+        return { file, type: "invalid" };
+      }
+    }
+    if (path.dirname(d) === d) return null;
+  }
+}
+
+function isOurEntry(entry) {
+  const s = JSON.stringify(entry);
+  return OUR_ENTRY_MARKERS.some((m) => s.includes(m));
+}
+
+function isOurStatusLine(statusLine) {
+  const s = JSON.stringify(statusLine);
+  return s.includes(OUR_MARKER) || s.includes("statusline-bridge");
+}
+
+function readInstallState() {
+  try {
+    return JSON.parse(fs.readFileSync(INSTALL_STATE, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeInstallState(state) {
+  fs.mkdirSync(path.dirname(INSTALL_STATE), { recursive: true });
+  fs.writeFileSync(INSTALL_STATE, JSON.stringify(state, null, 2) + "\n");
+}
+
+// Hash with normalized line endings, so a CRLF checkout matches too
+function sha256(text) {
+  const crypto = require("crypto");
+  return crypto.createHash("sha256").update(text.replace(/\r\n/g, "\n")).digest("hex");
+}
+
+function stampSource(source) {
+  const line = `// context-hooks v${VERSION} sha256:${sha256(source)}\n`;
+  if (!source.startsWith("#!")) return line + source;
+  const nl = source.indexOf("\n") + 1;
+  return source.slice(0, nl) + line + source.slice(nl);
+}
+
+// {version, hash, body} of a stamped file (body = content without the
+// stamp line), or null if unstamped
+function readStamp(content) {
+  const m = content.match(STAMP_RE);
+  if (!m || m.index > content.indexOf("\n") + 1) return null; // First or second line only
+  return {
+    version: m[1],
+    hash: m[2],
+    body: content.slice(0, m.index) + content.slice(m.index + m[0].length),
+  };
+}
+
+function writeStamped(dst, source) {
+  fs.writeFileSync(dst, stampSource(source));
+
+  // Make executable on Unix (no-op concept on Windows, but harmless)
+  try {
+    fs.chmodSync(dst, 0o755);
+  } catch {
+    // Windows doesn't support chmod — that's fine
+  }
+}
+
+// State of an installed file relative to the source being installed:
+//   missing  — not installed
+//   current  — this version, unmodified
+//   outdated — an earlier release, unmodified (safe to replace)
+//   modified — edited locally, or unknown origin
+function classifyInstalled(rel, dst, source) {
+  if (!fs.existsSync(dst)) return { status: "missing", version: null };
+  const content = fs.readFileSync(dst, "utf8");
+
+  const stampInfo = readStamp(content);
+  if (stampInfo) {
+    if (sha256(stampInfo.body) !== stampInfo.hash) {
+      return { status: "modified", version: stampInfo.version };
+    }
+    const status = stampInfo.hash === sha256(source) ? "current" : "outdated";
+    return { status, version: stampInfo.version };
+  }
+
+  const hash = sha256(content);
+  const release = Object.keys(KNOWN_RELEASES).find((v) => KNOWN_RELEASES[v][rel] === hash);
+  if (release) return { status: "outdated", version: release };
+  if (hash === sha256(source)) return { status: "outdated", version: "unstamped" };
+  return { status: "modified", version: null };
+}
+
+// What to do with a locally modified file on --update: "keep" it,
+// "overwrite" it (after saving a copy) or write the new version as "new"
+function resolveModified(dst) {
+  if (args.includes("--force")) return "overwrite";
+  if (args.includes("--keep") || !process.stdin.isTTY) return "keep";
+
+  warn(`Locally modified: ${dst}`);
+  const answer = ask("  [k]eep yours, [o]verwrite (yours saved as .local-*), write [n]ew alongside? [k/o/n] ");
+  if (/^o/i.test(answer)) return "overwrite";
+  if (/^n/i.test(answer)) return "new";
+  return "keep";
+}
+
+// Run hook scripts concurrently ({script, input} each); returns
+// [{code, out}] in job order
+function runParallel(jobs) {
+  const { spawnSync } = require("child_process");
+  const runner = `
+    const { spawn } = require("child_process");
+    const jobs = JSON.parse(require("fs").readFileSync(0, "utf8"));
+    const results = [];
+    let left = jobs.length;
+    jobs.forEach((job, i) => {
+      const child = spawn(process.execPath, [job.script], { stdio: ["pipe", "pipe", "ignore"] });
+      let out = "";
+      child.stdout.on("data", (d) => (out += d));
+      child.on("close", (code) => {
+        results[i] = { code, out };
+        if (--left === 0) process.stdout.write(JSON.stringify(results));
+      });
+      child.stdin.end(job.input);
+    });
+  `;
+  const res = spawnSync(process.execPath, ["-e", runner], {
+    input: JSON.stringify(jobs),
+    encoding: "utf8",
+    timeout: 120000,
+    maxBuffer: 16 * 1024 * 1024,
+  });
+  if (res.error) throw res.error;
+  return JSON.parse(res.stdout);
+}
+
+// Synchronous one-line prompt on the terminal
+function ask(question) {
+  process.stdout.write(question);
+  const buf = Buffer.alloc(1024);
+  try {
+    const n = fs.readSync(0, buf, 0, buf.length, null);
+    return buf.toString("utf8", 0, n).trim();
+  } catch {
+    return "";
+  }
+}
+
+// settings.json as {raw, settings}; raw is null when there is no file.
+// Comments and trailing commas are fine; throws on anything else.
+function readSettings() {
+  let raw;
+  try {
+    raw = fs.readFileSync(SETTINGS, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return { raw: null, settings: {} };
+    throw e;
+  }
+  const settings = parseJsonc(raw);
+  if (settings === undefined) return { raw, settings: {} }; // Empty file
+  if (settings === null || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new SyntaxError("top level must be a JSON object");
+  }
+  return { raw, settings };
+}
+
+// Write changed settings, editing the original text so comments and
+// formatting survive. With --dry-run only the diff is shown; on a
+// terminal the diff is confirmed first (unless --yes). Returns whether
+// the file was written.
+function saveSettings(raw, settings) {
+  const next = raw === null ? JSON.stringify(settings, null, 2) + "\n" : applyChanges(raw, settings);
+  if (next === raw) {
+    info(`${path.basename(SETTINGS)} already up to date — unchanged`);
+    return false;
+  }
+
+  const confirm = process.stdin.isTTY && !YES;
+  if (DRY_RUN || confirm) {
+    console.log();
+    for (const line of unifiedDiff(raw || "", next, SETTINGS)) console.log(line);
+    console.log();
+  }
+  if (DRY_RUN) {
+    info(`Dry run — ${SETTINGS} not written`);
+    return false;
+  }
+  if (confirm && /^n/i.test(ask(`  Apply these changes to ${path.basename(SETTINGS)}? [Y/n] `))) {
+    warn(`${SETTINGS} not modified`);
+    return false;
+  }
+
+  if (raw !== null) ok(`Backed up settings → ${backupSettings()}`);
+  fs.writeFileSync(SETTINGS, next);
+  ok(`Wrote ${SETTINGS}`);
+  return true;
+}
+
+// Line diff of two texts in unified format (3 lines of context), colored
+function unifiedDiff(before, after, file) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  // lcs[i][j]: longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = []; // {op: " " | "-" | "+", text, ai, bi} with 1-based line numbers
+  for (let i = 0, j = 0; i < a.length || j < b.length; ) {
+    if (i < a.length && j < b.length && a[i] === b[j]) ops.push({ op: " ", text: a[i++], ai: i, bi: ++j });
+    else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push({ op: "-", text: a[i++], ai: i, bi: j });
+    else ops.push({ op: "+", text: b[j++], ai: i, bi: j });
+  }
+
+  const CONTEXT = 3;
+  const lines = [`${C.bold}--- ${file}${C.reset}`, `${C.bold}+++ ${file} (new)${C.reset}`];
+  for (let k = 0; k < ops.length; ) {
+    if (ops[k].op === " ") {
+      k++;
+      continue;
+    }
+    // One hunk for changes at most 2 * CONTEXT unchanged lines apart
+    let last = k;
+    for (let n = k + 1; n < ops.length && n - last <= 2 * CONTEXT + 1; n++) {
+      if (ops[n].op !== " ") last = n;
+    }
+    const from = Math.max(0, k - CONTEXT);
+    const to = Math.min(ops.length, last + 1 + CONTEXT);
+    const hunk = ops.slice(from, to);
+    const aLines = hunk.filter((o) => o.op !== "+").length;
+    const bLines = hunk.filter((o) => o.op !== "-").length;
+    const aStart = aLines ? hunk.find((o) => o.op !== "+").ai : hunk[0].ai;
+    const bStart = bLines ? hunk.find((o) => o.op !== "-").bi : hunk[0].bi;
+    lines.push(`${C.cyan}@@ -${aStart},${aLines} +${bStart},${bLines} @@${C.reset}`);
+    for (const o of hunk) {
+      const color = o.op === "-" ? C.red : o.op === "+" ? C.green : "";
+      lines.push(`${color}${o.op}${o.text}${color && C.reset}`);
+    }
+    k = to;
+  }
+  return lines;
+}
+
+// Copy settings.json to settings.json.bak.<timestamp>, then prune to
+// install.keepBackups; returns the backup path
+function backupSettings() {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  let backupPath = `${SETTINGS}.bak.${timestamp}`;
+  for (let n = 1; fs.existsSync(backupPath); n++) {
+    backupPath = `${SETTINGS}.bak.${timestamp}-${n}`; // Same second as a previous backup
+  }
+  fs.copyFileSync(SETTINGS, backupPath);
+
+  const { keepBackups } = loadConfig({ cwd: process.cwd() }).config.install;
+  for (const old of listBackups().slice(keepBackups)) {
+    try {
+      fs.unlinkSync(old.path);
+    } catch {
+      // Already gone — pruned by a concurrent run
+    }
+  }
+  return backupPath;
+}
+
+// settings.json.bak.* files, newest first
+function listBackups() {
+  const prefix = `${path.basename(SETTINGS)}.bak.`;
+  let files;
+  try {
+    files = fs.readdirSync(path.dirname(SETTINGS)).filter((f) => f.startsWith(prefix));
+  } catch {
+    return [];
+  }
+  return files
+    .map((f) => ({
+      stamp: f.slice(prefix.length),
+      path: path.join(path.dirname(SETTINGS), f),
+      mtime: fs.statSync(path.join(path.dirname(SETTINGS), f)).mtimeMs,
+    }))
+    .sort((a, b) => b.mtime - a.mtime || b.stamp.localeCompare(a.stamp));
+}
+
+// "3d", "5h", "12m", "40s" — coarse age for reports
+function formatAge(ms) {
+  if (ms >= 86400000) return `${Math.floor(ms / 86400000)}d`;
+  if (ms >= 3600000) return `${Math.floor(ms / 3600000)}h`;
+  if (ms >= 60000) return `${Math.floor(ms / 60000)}m`;
+  return `${Math.max(0, Math.floor(ms / 1000))}s`;
+}
+
+function runHook(scriptPath, stdinData, env = process.env) {
   const { execSync } = require("child_process");
   // Use node to run the script, pass data on stdin
   const escaped = stdinData.replace(/'/g, "'\\''");
@@ -437,6 +1899,7 @@ function runHook(scriptPath, stdinData) {
 
   return execSync(cmd, {
     encoding: "utf8",
+    env,
     timeout: 10000,
     stdio: ["pipe", "pipe", "pipe"],
   });
@@ -1,8 +1,20 @@
 # setup.ps1 — Windows wrapper for the cross-platform Node.js installer
-# Usage: powershell -NoProfile -File setup.ps1 [-Uninstall] [-Test]
+# Usage: powershell -NoProfile -File setup.ps1 [-Uninstall] [-Test [-Stress]]
+#        [-Update [-Force | -Keep]] [-ListBackups] [-RestoreBackup [timestamp]]
+#        [-DryRun] [-Yes] [-Scope user|project|local]
 param(
     [switch]$Uninstall,
-    [switch]$Test
+    [switch]$Update,
+    [switch]$Force,
+    [switch]$Keep,
+    [switch]$Test,
+    [switch]$Stress,
+    [switch]$ListBackups,
+    [string]$RestoreBackup,
+    [switch]$DryRun,
+    [switch]$Yes,
+    [ValidateSet("user", "project", "local")]
+    [string]$Scope = "user"
 )
 
 $ErrorActionPreference = "Stop"
@@ -19,13 +31,33 @@ try {
 }
 
 $setupScript = Join-Path $scriptDir "setup.js"
+$scopeArgs = @("--scope", $Scope)
+# Install, update and uninstall only
+$writeArgs = @()
+if ($DryRun) { $writeArgs += "--dry-run" }
+if ($Yes) { $writeArgs += "--yes" }
 
 if ($Uninstall) {
-    node $setupScript --uninstall
+    node $setupScript --uninstall @writeArgs @scopeArgs
+} elseif ($Update) {
+    $updateArgs = @("--update")
+    if ($Force) { $updateArgs += "--force" }
+    if ($Keep) { $updateArgs += "--keep" }
+    node $setupScript @updateArgs @writeArgs @scopeArgs
 } elseif ($Test) {
-    node $setupScript --test
+    $testArgs = @("--test")
+    if ($Stress) { $testArgs += "--stress" }
+    node $setupScript @testArgs @scopeArgs
+} elseif ($ListBackups) {
+    node $setupScript --list-backups @scopeArgs
+} elseif ($PSBoundParameters.ContainsKey("RestoreBackup")) {
+    if ($RestoreBackup) {
+        node $setupScript --restore-backup $RestoreBackup @scopeArgs
+    } else {
+        node $setupScript --restore-backup @scopeArgs
+    }
 } else {
-    node $setupScript
+    node $setupScript @writeArgs @scopeArgs
 }
 
 exit $LASTEXITCODE
@@ -1,6 +1,8 @@
 #!/usr/bin/env bash
 # setup.sh — Unix wrapper for the cross-platform Node.js installer
-# Usage: bash setup.sh [--uninstall | --test]
+# Usage: bash setup.sh [--uninstall | --test [--stress] | --update [--force | --keep] |
+#                       --list-backups | --restore-backup [timestamp]]
+#                      [--dry-run] [--yes] [--scope user|project|local]
 set -euo pipefail
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"